@@ -0,0 +1,129 @@
+// Blob storage for uploaded files, with pluggable backends.
+// BLOB_STORE selects one: 'disk' (a directory, for local development and self-hosting),
+// 's3' (any S3-compatible object store: AWS S3, Cloudflare R2, MinIO) or 'memory' (tests).
+// Every backend offers put(key, data, contentType), get(key) -> Buffer or null, and del(key).
+import fs from 'fs';
+import path from 'path';
+
+// Stores each blob as a file under BLOB_DIR (default ./data/blobs)
+function createDiskBlobStore(env) {
+  const root = path.resolve(env.BLOB_DIR || path.join(process.cwd(), 'data', 'blobs'));
+
+  // Keys are built by the server from validated ids, but never let one escape the root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid blob key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'disk',
+    async put(key, data) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async del(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+// Uses S3_BUCKET with S3_REGION, S3_ENDPOINT (for non-AWS stores), S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY
+function createS3BlobStore(env) {
+  let sdk = null;
+  let client = null;
+
+  const getClient = async () => {
+    if (!client) {
+      sdk = await import('@aws-sdk/client-s3');
+      client = new sdk.S3Client({
+        region: env.S3_REGION || 'auto',
+        endpoint: env.S3_ENDPOINT || undefined,
+        forcePathStyle: Boolean(env.S3_ENDPOINT),
+        credentials: env.S3_ACCESS_KEY_ID
+          ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+          : undefined
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 's3',
+    async put(key, data, contentType) {
+      const s3 = await getClient();
+      await s3.send(new sdk.PutObjectCommand({ Bucket: env.S3_BUCKET, Key: key, Body: data, ContentType: contentType }));
+    },
+    async get(key) {
+      const s3 = await getClient();
+      try {
+        const object = await s3.send(new sdk.GetObjectCommand({ Bucket: env.S3_BUCKET, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+    async del(key) {
+      const s3 = await getClient();
+      await s3.send(new sdk.DeleteObjectCommand({ Bucket: env.S3_BUCKET, Key: key }));
+    }
+  };
+}
+
+function createMemoryBlobStore() {
+  const blobs = new Map();
+
+  return {
+    name: 'memory',
+    async put(key, data) {
+      blobs.set(key, Buffer.from(data));
+    },
+    async get(key) {
+      return blobs.get(key) || null;
+    },
+    async del(key) {
+      blobs.delete(key);
+    }
+  };
+}
+
+const BACKENDS = {
+  disk: createDiskBlobStore,
+  s3: createS3BlobStore,
+  memory: createMemoryBlobStore
+};
+
+export function createBlobStore(env = process.env) {
+  // Vercel's filesystem is read-only and not shared between invocations, so only S3 works there
+  const name = env.BLOB_STORE || (env.S3_BUCKET || env.VERCEL ? 's3' : 'disk');
+  const createBackend = BACKENDS[name];
+
+  if (!createBackend) {
+    throw new Error(`Unknown BLOB_STORE "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  if (env.VERCEL && name !== 's3') {
+    throw new Error(`BLOB_STORE "${name}" does not keep files on Vercel; use s3 with S3_BUCKET`);
+  }
+
+  if (name === 's3' && !env.S3_BUCKET) {
+    throw new Error(env.VERCEL
+      ? 'Vercel deployments store files in S3: set S3_BUCKET (and S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)'
+      : 'BLOB_STORE is s3 but S3_BUCKET is not set');
+  }
+
+  return createBackend(env);
+}
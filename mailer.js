@@ -0,0 +1,88 @@
+// Mailer with pluggable transports.
+// MAIL_TRANSPORT selects one: 'smtp' (production), 'file' or 'console' (local development and tests).
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_FROM = 'Hours Tracker <no-reply@hours-tracker.local>';
+
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+function createSmtpTransport(env) {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        const port = Number(env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+          host: env.SMTP_HOST,
+          port,
+          secure: port === 465,
+          auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+        });
+      }
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+// Writes every message as a JSON file to MAIL_OUTBOX_DIR, so tests can read the links from it
+function createFileTransport(env) {
+  const dir = env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).substr(2, 6)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+export function createMailer(env = process.env) {
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+  const createTransport = TRANSPORTS[name];
+
+  if (!createTransport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  if (name === 'smtp' && !env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT is smtp but SMTP_HOST is not set');
+  }
+
+  // Verification and reset links printed to a production log never reach anyone.
+  // The rest of the app works without mail, so only the mail features are switched off.
+  const delivers = !(name === 'console' && (env.NODE_ENV === 'production' || env.VERCEL));
+  if (!delivers) {
+    console.warn('⚠️ No mail transport configured (set SMTP_HOST); password reset and verification mails are disabled');
+  }
+
+  const transport = createTransport(env);
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    transport: transport.name,
+    delivers,
+    send({ to, subject, text }) {
+      return transport.send({ from, to, subject, text });
+    }
+  };
+}
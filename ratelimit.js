@@ -0,0 +1,45 @@
+// Attempt limits with exponential lockout, kept in the key-value storage so they
+// hold across serverless instances. Each limit is
+// { free, baseSeconds, maxSeconds, windowSeconds }: once `free` attempts are used up
+// within the window, every further attempt locks the key for baseSeconds * 2^n,
+// up to maxSeconds.
+
+// Lockout in seconds caused by the nth attempt within the window (0 for none)
+export function getLockoutSeconds(limit, attempts) {
+  if (attempts <= limit.free) return 0;
+  return Math.min(limit.baseSeconds * 2 ** (attempts - limit.free - 1), limit.maxSeconds);
+}
+
+// Limiter for the named limits; `id` tells apart who is limited, e.g. an IP or an account
+export function createRateLimiter(kv, limits) {
+  function keyFor(name, id) {
+    return `ratelimit:${name}:${id}`;
+  }
+
+  return {
+    // Seconds until the key is unlocked (0 when it is not locked)
+    async getRetryAfter(name, id) {
+      const lockedUntil = await kv.get(`${keyFor(name, id)}:lock`);
+      return lockedUntil ? Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 0) : 0;
+    },
+
+    // Count an attempt; returns the lockout in seconds it caused (0 when none)
+    async recordAttempt(name, id) {
+      const limit = limits[name];
+      const key = keyFor(name, id);
+      const attempts = await kv.incr(key);
+      await kv.expire(key, limit.windowSeconds);
+
+      const seconds = getLockoutSeconds(limit, attempts);
+      if (seconds) {
+        await kv.set(`${key}:lock`, Date.now() + seconds * 1000, { ex: seconds });
+      }
+      return seconds;
+    },
+
+    async clearAttempts(name, id) {
+      const key = keyFor(name, id);
+      await kv.del(key, `${key}:lock`);
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// Refresh tokens of the auth sessions. A token is `${sid}.${secret}`; the session
+// only stores hashes, of the current secret and of the one it replaced.
+// Parallel requests may all present the refresh token that one of them just
+// rotated, so the previous token is accepted for REFRESH_GRACE_MS instead of
+// counting as reuse. Used any later, it must have been copied.
+export const REFRESH_GRACE_MS = 30 * 1000;
+
+// Splits a refresh token cookie into { sid, secret }, or null when it is malformed
+export function parseRefreshToken(value) {
+  const [sid, secret] = String(value || '').split('.');
+  return sid && secret ? { sid, secret } : null;
+}
+
+// Store the hash of a new secret, keeping the previous one for the grace period
+export function rotateRefreshHash(session, hash, now = Date.now()) {
+  session.previousRefreshHash = session.refreshHash;
+  session.refreshHash = hash;
+  session.rotatedAt = now;
+}
+
+// How a presented token relates to the session: 'current', 'previous' (within the
+// grace period), 'reused' (an old token after it) or null when it never belonged to it
+export function checkRefreshHash(session, hash, now = Date.now()) {
+  if (hash === session.refreshHash) return 'current';
+  if (!session.previousRefreshHash || hash !== session.previousRefreshHash) return null;
+  return now - session.rotatedAt > REFRESH_GRACE_MS ? 'reused' : 'previous';
+}
@@ -0,0 +1,27 @@
+// Retention settings: with RETENTION_INACTIVE_DAYS set, accounts nobody has signed in
+// to for that long are deleted, after a warning RETENTION_WARNING_DAYS before.
+// 0 (the default) turns retention off.
+
+// Whole number of days from the env var, or `fallback` when it is unset
+export function parseRetentionDays(env, name, fallback) {
+  const value = env[name];
+  if (!value) return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`${name} must be a whole number of days, got "${value}"`);
+  }
+  return days;
+}
+
+// { inactiveDays, warningDays }; throws for settings that can't work
+export function getRetentionConfig(env = process.env) {
+  const inactiveDays = parseRetentionDays(env, 'RETENTION_INACTIVE_DAYS', 0);
+  // Without an explicit value the warning falls inside the inactive period
+  const warningDays = parseRetentionDays(env, 'RETENTION_WARNING_DAYS', Math.min(30, Math.floor(inactiveDays / 2)));
+
+  // A warning period as long as the inactive period would warn every active account
+  if (inactiveDays && warningDays >= inactiveDays) {
+    throw new Error(`RETENTION_WARNING_DAYS (${warningDays}) must be less than RETENTION_INACTIVE_DAYS (${inactiveDays})`);
+  }
+  return { inactiveDays, warningDays };
+}
@@ -0,0 +1,20 @@
+// Revisions of a user's data, for optimistic concurrency. The server bumps
+// user.revision on every change and sends it as the ETag; clients send it back in
+// `If-Match` so a change based on an outdated copy is refused instead of applied.
+
+// The tag includes the user: browser caches are shared by everyone using the browser,
+// so two accounts at the same revision must never revalidate each other's responses
+export function formatETag(userId, revision) {
+  return `"${userId}:${revision || 0}"`;
+}
+
+// Revision the client based its change on, from an `If-Match` header holding
+// either the ETag (`"<userId>:<revision>"`) or just `"<revision>"`.
+// Returns null without a header and NaN for one that can't match, such as a
+// tag issued to another user.
+export function parseIfMatch(header, userId) {
+  if (!header) return null;
+  const match = /^(?:W\/)?"?(?:([^":]+):)?(\d+)"?$/.exec(header.trim());
+  if (!match || (match[1] !== undefined && match[1] !== userId)) return NaN;
+  return Number(match[2]);
+}
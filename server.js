@@ -2,10 +2,19 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import cookieParser from 'cookie-parser';
-import { kv } from '@vercel/kv';
+import QRCode from 'qrcode';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createMailer } from './mailer.js';
+import { createStorage } from './storage.js';
+import { createBlobStore } from './blobstore.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+import { formatETag, parseIfMatch } from './revision.js';
+import { parseRefreshToken, rotateRefreshHash, checkRefreshHash } from './refreshtoken.js';
+import { createRateLimiter } from './ratelimit.js';
+import { getRetentionConfig } from './retention.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const cwd = process.cwd();
@@ -19,9 +28,43 @@ const app = express();
 
 // Environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production-12345';
-const JWT_EXPIRY = '7d';
+
+const mailer = createMailer();
+// Logging in needs a verified email only when verification mails can actually arrive;
+// REQUIRE_EMAIL_VERIFICATION=true/false overrides that
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION
+  ? process.env.REQUIRE_EMAIL_VERIFICATION === 'true'
+  : mailer.transport !== 'console';
+// Redis-style key-value store; STORAGE_BACKEND picks Vercel KV, a local file or memory
+const kv = createStorage();
+// Contents of uploaded files; BLOB_STORE picks local disk, S3 or memory.
+// Created on first use, so a deployment without file storage still serves everything else.
+let blobs = null;
+let blobStoreError = null;
+
+function getBlobStore() {
+  if (!blobs && !blobStoreError) {
+    try {
+      blobs = createBlobStore();
+    } catch (error) {
+      blobStoreError = error;
+      console.error('⚠️ File storage not configured:', error.message);
+    }
+  }
+  return blobs;
+}
 
 // Middleware
+// Only trust X-Forwarded-For behind a known proxy: on a directly exposed server any client
+// could send a new one with every request and dodge the per-IP limits. Vercel is one hop;
+// TRUST_PROXY takes the number of proxies (or 'true'/'false') for self-hosted setups.
+app.set('trust proxy', getTrustProxy(process.env.TRUST_PROXY));
+
+function getTrustProxy(value) {
+  if (!value) return process.env.VERCEL ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -45,6 +88,476 @@ function validatePassword(password) {
          /[0-9]/.test(password);
 }
 
+// Session validation
+const SESSION_CATEGORIES = ['Internship', 'School', 'Other'];
+const MAX_BREAK_MINUTES = 480;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_SESSION_FILES = 20;
+
+function validateDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function validateTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+function validateSessionId(id) {
+  return typeof id === 'string' && /^[a-zA-Z0-9_\-]{1,64}$/.test(id);
+}
+
+function generateSessionId() {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+// An end time before the start time means the session ends on the following day
+function calculateNetMinutes(startTime, endTime, breakMinutes) {
+  const [startHour, startMin] = startTime.split(':').map(Number);
+  const [endHour, endMin] = endTime.split(':').map(Number);
+  let durationMin = (endHour * 60 + endMin) - (startHour * 60 + startMin);
+
+  if (durationMin === 0) return 0;
+  if (durationMin < 0) durationMin += 24 * 60;
+  return Math.max(0, durationMin - breakMinutes);
+}
+
+// Validate a client-supplied session and return a normalized copy with netMinutes computed here
+function validateSession(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid session format' };
+  }
+
+  const { id, date, startTime, endTime, note = '', category = 'Internship', fileIds = [] } = input;
+  const breakMinutes = input.breakMinutes === undefined || input.breakMinutes === '' ? 0 : Number(input.breakMinutes);
+
+  if (id !== undefined && !validateSessionId(id)) {
+    return { error: 'Invalid session id' };
+  }
+
+  if (!validateDate(date)) {
+    return { error: 'Invalid date (expected YYYY-MM-DD)' };
+  }
+
+  if (!validateTime(startTime) || !validateTime(endTime)) {
+    return { error: 'Invalid time (expected HH:MM)' };
+  }
+
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 0 || breakMinutes > MAX_BREAK_MINUTES) {
+    return { error: `Break must be a whole number between 0 and ${MAX_BREAK_MINUTES} minutes` };
+  }
+
+  if (!SESSION_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${SESSION_CATEGORIES.join(', ')}` };
+  }
+
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    return { error: `Note must be text of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  // Ids of Bestanden BIM files that document the session. Files deleted later
+  // leave their id behind; clients skip ids they don't know.
+  if (!Array.isArray(fileIds) || fileIds.length > MAX_SESSION_FILES || !fileIds.every(validateItemId)) {
+    return { error: `Linked files must be a list of at most ${MAX_SESSION_FILES} file ids` };
+  }
+
+  const netMinutes = calculateNetMinutes(startTime, endTime, breakMinutes);
+  if (netMinutes <= 0) {
+    return { error: 'Invalid time range or break duration is too long' };
+  }
+
+  return {
+    session: {
+      id: id || generateSessionId(),
+      date,
+      startTime,
+      endTime,
+      breakMinutes,
+      note,
+      category,
+      fileIds: [...new Set(fileIds)],
+      netMinutes
+    }
+  };
+}
+
+const SESSION_FIELDS = ['date', 'startTime', 'endTime', 'breakMinutes', 'note', 'category'];
+
+function sessionsEqual(a, b) {
+  return SESSION_FIELDS.every(field => a[field] === b[field]) &&
+    (a.fileIds || []).join(',') === (b.fileIds || []).join(',');
+}
+
+// Start and end of a session in minutes since the epoch (UTC, so DST never shifts it)
+function sessionRange(session) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = Date.parse(`${session.date}T00:00:00Z`) / 60000 + toMinutes(session.startTime);
+  let duration = toMinutes(session.endTime) - toMinutes(session.startTime);
+  if (duration <= 0) duration += 24 * 60;
+  return { start, end: start + duration };
+}
+
+// Other sessions whose time range overlaps this one
+function findOverlaps(session, sessions) {
+  const range = sessionRange(session);
+  return sessions.filter(other => {
+    if (other.id === session.id) return false;
+    const otherRange = sessionRange(other);
+    return range.start < otherRange.end && otherRange.start < range.end;
+  });
+}
+
+function overlapError(overlaps) {
+  const [first] = overlaps;
+  return `Overlaps the session on ${first.date} from ${first.startTime} to ${first.endTime}`;
+}
+
+// Recompute the stored total from the sessions instead of trusting the client,
+// bump the user revision and stamp it on the sessions that changed
+function recalculateTotals(user, changedSessions = []) {
+  const totalMinutes = (user.sessions || []).reduce((sum, s) => sum + (s.netMinutes || 0), 0);
+  user.totalHours = Math.round((totalMinutes / 60) * 100) / 100;
+  user.revision = (user.revision || 0) + 1;
+  changedSessions.forEach(session => {
+    session.revision = user.revision;
+  });
+  user.updatedAt = new Date().toISOString();
+  return user;
+}
+
+// Send the current revision; browsers may keep the response but have to revalidate it
+function setRevisionHeader(req, res, revision) {
+  res.set('ETag', formatETag(req.userId, revision));
+  res.set('Cache-Control', 'private, no-cache');
+}
+
+// Per-user settings
+const DEFAULT_TARGET_HOURS = 640;
+const MAX_TARGET_HOURS = 5000;
+
+function getUserSettings(user) {
+  return {
+    targetHours: DEFAULT_TARGET_HOURS,
+    startDate: null,
+    endDate: null,
+    ...(user.settings || {})
+  };
+}
+
+function validateSettings(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid settings format' };
+  }
+
+  const targetHours = Number(input.targetHours);
+  const startDate = input.startDate || null;
+  const endDate = input.endDate || null;
+
+  if (!Number.isFinite(targetHours) || targetHours <= 0 || targetHours > MAX_TARGET_HOURS) {
+    return { error: `Target must be between 1 and ${MAX_TARGET_HOURS} hours` };
+  }
+
+  if ((startDate && !validateDate(startDate)) || (endDate && !validateDate(endDate))) {
+    return { error: 'Invalid date (expected YYYY-MM-DD)' };
+  }
+
+  if (startDate && endDate && endDate < startDate) {
+    return { error: 'End date must be on or after the start date' };
+  }
+
+  return {
+    settings: {
+      targetHours: Math.round(targetHours * 100) / 100,
+      startDate,
+      endDate
+    }
+  };
+}
+
+// User records and their email/username index keys never expire; inactive
+// accounts are only removed by the retention policy below
+async function saveUser(user) {
+  await kv.set(`user:${user.userId}`, user);
+}
+
+// Point the email and username index keys at the user. Writing them again also
+// clears the one-year expiry that older versions put on them.
+async function saveUserIndexes(user) {
+  await kv.set(`user:email:${user.email}`, user.userId);
+  await kv.set(`user:username:${user.username.toLowerCase()}`, user.userId);
+}
+
+// Email verification and password reset tokens.
+// Only a hash of the token is stored, under `${purpose}:${hash}`, and it is deleted on first use.
+const VERIFY_TOKEN_TTL = 60 * 60 * 24; // seconds
+const RESET_TOKEN_TTL = 60 * 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createAuthToken(purpose, userId, ttlSeconds) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await kv.set(`${purpose}:${hashToken(token)}`, { userId, createdAt: Date.now() }, { ex: ttlSeconds });
+  return token;
+}
+
+async function readAuthToken(purpose, token) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+  return kv.get(`${purpose}:${hashToken(token)}`);
+}
+
+async function consumeAuthToken(purpose, token) {
+  const entry = await readAuthToken(purpose, token);
+  if (entry) await kv.del(`${purpose}:${hashToken(token)}`);
+  return entry;
+}
+
+function getAppUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+async function sendVerificationEmail(req, user) {
+  const token = await createAuthToken('verify-token', user.userId, VERIFY_TOKEN_TTL);
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Hours Tracker email address',
+    text: `Hi ${user.username},\n\nConfirm your email address to start using Hours Tracker:\n\n` +
+      `${getAppUrl(req)}/api/auth/verify?token=${token}\n\nThis link expires in 24 hours.`
+  });
+}
+
+// Two-factor authentication (TOTP). user.twoFactor holds { enabled, secret, lastStep, recoveryCodes };
+// recovery codes are stored hashed. With 2FA enabled a correct password only earns a
+// `2fa-challenge` token, which /api/auth/2fa trades for a session together with a code.
+const TWO_FACTOR_ISSUER = 'Hours Tracker';
+const TWO_FACTOR_CHALLENGE_TTL = 60 * 5; // seconds
+const RECOVERY_CODE_COUNT = 10;
+
+function isTwoFactorEnabled(user) {
+  return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+// Fresh recovery codes for the user; returns them in plain text, to be shown once (the caller saves the user)
+function resetRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+}
+
+// Accepts an authenticator code (each one only once) or an unused recovery code,
+// which is then used up (the caller saves the user)
+function checkTwoFactorCode(user, code) {
+  const twoFactor = user.twoFactor;
+  const input = String(code || '').replace(/\s/g, '');
+
+  const step = verifyCode(twoFactor.secret, input, { afterStep: twoFactor.lastStep ?? -1 });
+  if (step !== null) {
+    twoFactor.lastStep = step;
+    return true;
+  }
+
+  const index = (twoFactor.recoveryCodes || []).indexOf(hashToken(normalizeRecoveryCode(input)));
+  if (index !== -1) {
+    twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+  return false;
+}
+
+// Retention: with RETENTION_INACTIVE_DAYS set, accounts nobody has signed in to for
+// that long are deleted. A warning email goes out RETENTION_WARNING_DAYS before, and
+// an account is never deleted sooner than that after its warning. Off by default.
+const { inactiveDays: RETENTION_INACTIVE_DAYS, warningDays: RETENTION_WARNING_DAYS } = getRetentionConfig();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record activity (at most once a day); returns true when the user needs saving
+function markActive(user) {
+  const last = user.lastActiveAt ? Date.parse(user.lastActiveAt) : 0;
+  if (Date.now() - last < DAY_MS && !user.retentionWarnedAt) return false;
+  user.lastActiveAt = new Date().toISOString();
+  delete user.retentionWarnedAt;
+  return true;
+}
+
+async function sendRetentionWarning(user, deleteOn) {
+  const appUrl = process.env.APP_URL || '';
+  await mailer.send({
+    to: user.email,
+    subject: 'Your Hours Tracker account will be deleted',
+    text: `Hi ${user.username},\n\nYou haven't signed in to Hours Tracker for a while. Accounts that are inactive ` +
+      `for ${RETENTION_INACTIVE_DAYS} days are deleted together with all their hours.\n\n` +
+      `Your account will be deleted on ${deleteOn.toISOString().slice(0, 10)}. Sign in before then to keep it` +
+      `${appUrl ? `:\n\n${appUrl}/auth.html` : '.'}\n`
+  });
+}
+
+// Warn and purge inactive accounts; run daily by the cron route or the local server
+async function runRetention() {
+  const result = { checked: 0, warned: 0, deleted: 0 };
+  if (!RETENTION_INACTIVE_DAYS) return result;
+
+  const now = Date.now();
+  for (const key of await kv.keys('user:user_*')) {
+    const user = await kv.get(key);
+    if (!user) continue;
+    result.checked++;
+
+    const lastActive = Date.parse(user.lastActiveAt || user.createdAt);
+    const deleteAt = Math.max(
+      lastActive + RETENTION_INACTIVE_DAYS * DAY_MS,
+      user.retentionWarnedAt ? Date.parse(user.retentionWarnedAt) + RETENTION_WARNING_DAYS * DAY_MS : Infinity
+    );
+
+    if (!user.retentionWarnedAt) {
+      if (now >= lastActive + (RETENTION_INACTIVE_DAYS - RETENTION_WARNING_DAYS) * DAY_MS) {
+        const noticeEnds = now + RETENTION_WARNING_DAYS * DAY_MS;
+        await sendRetentionWarning(user, new Date(Math.max(lastActive + RETENTION_INACTIVE_DAYS * DAY_MS, noticeEnds)));
+        user.retentionWarnedAt = new Date(now).toISOString();
+        await saveUser(user);
+        result.warned++;
+      }
+    } else if (now >= deleteAt) {
+      await deleteUserAccount(user);
+      console.log(`🗑️ Retention: deleted inactive account ${user.userId}`);
+      result.deleted++;
+    }
+  }
+  return result;
+}
+
+// Approval workflow
+const PERIOD_TYPES = ['week', 'month'];
+const MAX_COMMENT_LENGTH = 1000;
+
+// Nobody picks their own role: organization admins hand out the supervisor role,
+// and everyone else records hours as an intern
+async function getUserRole(user) {
+  const current = await getUserOrg(user);
+  return current && current.membership.role !== 'member' ? 'supervisor' : 'intern';
+}
+
+// A supervisor only covers interns of their own organization, and only while they
+// still hold the role there
+async function supervises(supervisor, intern) {
+  return supervisor.orgId === intern.orgId &&
+    (supervisor.internIds || []).includes(intern.userId) &&
+    await getUserRole(supervisor) === 'supervisor';
+}
+
+// Sessions that are awaiting approval or approved can no longer be changed
+function isLocked(session) {
+  return session.approval === 'pending' || session.approval === 'approved';
+}
+
+// Turn pending submissions back into drafts: their sessions are unlocked and can be
+// changed and submitted again. Returns whether anything changed; the caller saves.
+function withdrawSubmissions(intern, submissions) {
+  const ids = new Set(submissions.map(s => s.id));
+  const released = (intern.sessions || []).filter(s => ids.has(s.submissionId));
+  released.forEach(session => {
+    delete session.approval;
+    delete session.submissionId;
+  });
+  submissions.forEach(submission => {
+    submission.status = 'withdrawn';
+    submission.decidedAt = new Date().toISOString();
+  });
+  if (submissions.length > 0) recalculateTotals(intern, released);
+  return submissions.length > 0;
+}
+
+// Withdraw an intern's pending submissions once nobody can review them anymore
+function withdrawPendingSubmissions(intern) {
+  return withdrawSubmissions(intern, (intern.submissions || []).filter(s => s.status === 'pending'));
+}
+
+// Same for every intern of a supervisor who left the organization or lost the role
+async function withdrawInternSubmissions(supervisor) {
+  for (const internId of supervisor.internIds || []) {
+    const intern = await kv.get(`user:${internId}`);
+    if (intern && intern.supervisorId === supervisor.userId && withdrawPendingSubmissions(intern)) {
+      await saveUser(intern);
+    }
+  }
+}
+
+function lockedMessage(session) {
+  return session.approval === 'approved'
+    ? 'Session is approved and can no longer be changed'
+    : 'Session is awaiting approval and can no longer be changed';
+}
+
+// First and last date of the week (Monday-Sunday) or month containing `date`
+function getPeriodRange(periodType, date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  let start;
+  let end;
+  if (periodType === 'week') {
+    start = new Date(day);
+    start.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    end = new Date(start);
+    end.setUTCDate(start.getUTCDate() + 6);
+  } else {
+    start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+  }
+  return { periodStart: start.toISOString().slice(0, 10), periodEnd: end.toISOString().slice(0, 10) };
+}
+
+// Organizations: a user belongs to at most one, stored at `org:${orgId}`
+const ORG_ROLES = ['member', 'supervisor', 'admin'];
+const MAX_ORG_NAME_LENGTH = 80;
+
+function generateInviteCode() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+async function saveOrg(org) {
+  await kv.set(`org:${org.orgId}`, org);
+}
+
+// The user's organization and their membership in it, or null
+async function getUserOrg(user) {
+  if (!user.orgId) return null;
+  const org = await kv.get(`org:${user.orgId}`);
+  const membership = org && org.members.find(m => m.userId === user.userId);
+  return membership ? { org, membership } : null;
+}
+
+function describeOrg(org, membership) {
+  return {
+    orgId: org.orgId,
+    name: org.name,
+    role: membership.role,
+    memberCount: org.members.length,
+    // Only admins can hand out the invite code
+    inviteCode: membership.role === 'admin' ? org.inviteCode : undefined
+  };
+}
+
+// Submission as shown to the intern or supervisor, with the sessions it covers
+function describeSubmission(submission, intern) {
+  const ids = new Set(submission.sessionIds);
+  return {
+    ...submission,
+    internId: intern.userId,
+    internUsername: intern.username,
+    sessions: (intern.sessions || []).filter(s => ids.has(s.id))
+  };
+}
+
 function isStorageConfigError(error) {
   const message = String(error?.message || '').toLowerCase();
   return (
@@ -61,30 +574,206 @@ function handleRouteError(res, error, fallbackMessage) {
   if (isStorageConfigError(error)) {
     return res.status(503).json({
       status: 'error',
-      message: 'Storage is not configured. Add the Upstash Redis integration/env vars in Vercel.'
+      message: 'Storage is not configured. Add the Upstash Redis integration/env vars in Vercel, or set STORAGE_BACKEND=file.'
     });
   }
   return res.status(500).json({ status: 'error', message: fallbackMessage });
 }
 
-// Authentication middleware
-function authenticateToken(req, res, next) {
+// Auth sessions: one per signed-in device, stored at `auth-session:${sid}`.
+// Access tokens are short-lived JWTs naming their session; the refresh token
+// (`${sid}.${secret}`, only its hash is stored) rotates on every use.
+const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000; // ms
+const REFRESH_TOKEN_TTL = 60 * 60 * 24 * 30; // seconds
+
+function cookieOptions(maxAge) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge
+  };
+}
+
+async function saveAuthSession(session) {
+  await kv.set(`auth-session:${session.sid}`, session, { ex: REFRESH_TOKEN_TTL });
+}
+
+// Sign an access token for the session and set it as the `token` cookie
+function issueAccessToken(res, user, session) {
+  const token = jwt.sign(
+    { userId: user.userId, username: user.username, sid: session.sid, tv: session.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+  res.cookie('token', token, cookieOptions(ACCESS_TOKEN_MAX_AGE));
+  return token;
+}
+
+// Give the session a new refresh token and set it as the `refreshToken` cookie
+function rotateRefreshToken(res, session) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  rotateRefreshHash(session, hashToken(secret));
+  res.cookie('refreshToken', `${session.sid}.${secret}`, cookieOptions(REFRESH_TOKEN_TTL * 1000));
+}
+
+// Start a session for a new sign-in (the caller saves the user)
+async function createAuthSession(req, res, user) {
+  const now = new Date().toISOString();
+  const session = {
+    sid: crypto.randomBytes(16).toString('hex'),
+    userId: user.userId,
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: (req.get('user-agent') || '').slice(0, 200),
+    ip: req.ip,
+    createdAt: now,
+    lastUsedAt: now
+  };
+  rotateRefreshToken(res, session);
+  await saveAuthSession(session);
+  user.authSessions = [...(user.authSessions || []), session.sid];
+  markActive(user);
+  issueAccessToken(res, user, session);
+  return session;
+}
+
+// Trade the refresh token cookie for a new access and refresh token.
+// Returns { user, session } or null when there is no valid refresh token.
+async function refreshAuthSession(req, res) {
+  const token = parseRefreshToken(req.cookies.refreshToken);
+  if (!token) return null;
+
+  const session = await kv.get(`auth-session:${token.sid}`);
+  if (!session) return null;
+
+  const match = checkRefreshHash(session, hashToken(token.secret));
+  if (!match) return null;
+
+  const user = await kv.get(`user:${session.userId}`);
+  if (!user || (user.tokenVersion || 0) !== session.tokenVersion) {
+    await kv.del(`auth-session:${session.sid}`);
+    return null;
+  }
+
+  if (match === 'reused') {
+    // A copied token: end the session for whoever holds it
+    await revokeAuthSession(user, session.sid);
+    await saveUser(user);
+    return null;
+  }
+  if (match === 'current') {
+    rotateRefreshToken(res, session);
+  }
+
+  session.lastUsedAt = new Date().toISOString();
+  session.ip = req.ip;
+  await saveAuthSession(session);
+  if (markActive(user)) {
+    await saveUser(user);
+  }
+  issueAccessToken(res, user, session);
+  return { user, session };
+}
+
+// End one session (the caller saves the user)
+async function revokeAuthSession(user, sid) {
+  await kv.del(`auth-session:${sid}`);
+  user.authSessions = (user.authSessions || []).filter(id => id !== sid);
+}
+
+// Log out everywhere: bump the token version so no older token is accepted and
+// delete every session except `keepSid`, which moves to the new version (the caller saves the user)
+async function revokeAllAuthSessions(user, keepSid = null) {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  for (const sid of user.authSessions || []) {
+    if (sid !== keepSid) {
+      await kv.del(`auth-session:${sid}`);
+    }
+  }
+  user.authSessions = keepSid ? [keepSid] : [];
+
+  if (keepSid) {
+    const session = await kv.get(`auth-session:${keepSid}`);
+    if (session) {
+      session.tokenVersion = user.tokenVersion;
+      await saveAuthSession(session);
+      return session;
+    }
+  }
+  return null;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken');
+}
+
+// Resolve the signed-in user from the access token, falling back to the refresh
+// token when it has expired. Returns { userId, username, sid } or null.
+async function resolveAuth(req, res) {
   const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      const session = decoded.sid && await kv.get(`auth-session:${decoded.sid}`);
+      if (session && session.userId === decoded.userId && session.tokenVersion === decoded.tv) {
+        return { userId: decoded.userId, username: decoded.username, sid: decoded.sid };
+      }
+    } catch (error) {
+      // Expired or invalid: try the refresh token
+    }
   }
-  
+
+  const refreshed = await refreshAuthSession(req, res);
+  if (!refreshed) return null;
+  const { user, session } = refreshed;
+  return { userId: user.userId, username: user.username, sid: session.sid };
+}
+
+// Authentication middleware
+async function authenticateToken(req, res, next) {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.userId = decoded.userId;
-    req.username = decoded.username;
+    const auth = await resolveAuth(req, res);
+
+    if (!auth) {
+      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+    }
+
+    req.userId = auth.userId;
+    req.username = auth.username;
+    req.sessionId = auth.sid;
     next();
   } catch (error) {
-    return res.status(403).json({ status: 'error', message: 'Invalid or expired token' });
+    return handleRouteError(res, error, 'Authentication failed');
   }
 }
 
+// Attempt limits for the auth endpoints (see ratelimit.js for how they apply)
+const RATE_LIMITS = {
+  loginAccount: { free: 5, baseSeconds: 30, maxSeconds: 60 * 15, windowSeconds: 60 * 60 },
+  loginIp: { free: 20, baseSeconds: 60, maxSeconds: 60 * 60, windowSeconds: 60 * 60 },
+  registerIp: { free: 10, baseSeconds: 60, maxSeconds: 60 * 60, windowSeconds: 60 * 60 },
+  twoFactor: { free: 5, baseSeconds: 30, maxSeconds: 60 * 15, windowSeconds: 60 * 60 }
+};
+
+const { getRetryAfter, recordAttempt, clearAttempts } = createRateLimiter(kv, RATE_LIMITS);
+
+function formatRetryAfter(seconds) {
+  return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+function rateLimited(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    code: 'rate_limited',
+    retryAfter,
+    message: `Too many attempts. Try again in ${formatRetryAfter(retryAfter)}.`
+  });
+}
+
 // Public Routes
 
 // Auth page routes
@@ -97,16 +786,15 @@ app.get('/auth.html', (req, res) => {
 });
 
 // Check if user is authenticated
-app.get('/api/auth/status', (req, res) => {
-  const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.json({ authenticated: false });
-  }
-  
+app.get('/api/auth/status', async (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    res.json({ authenticated: true, username: decoded.username, userId: decoded.userId });
+    const auth = await resolveAuth(req, res);
+    
+    if (!auth) {
+      return res.json({ authenticated: false });
+    }
+    
+    res.json({ authenticated: true, username: auth.username, userId: auth.userId });
   } catch (error) {
     res.json({ authenticated: false });
   }
@@ -141,16 +829,26 @@ app.post('/api/auth/register', async (req, res) => {
       });
     }
     
-    // Check if user already exists
+    const retryAfter = await getRetryAfter('registerIp', req.ip);
+    if (retryAfter) {
+      return rateLimited(res, retryAfter);
+    }
+    
+    // Check if user already exists. Only these attempts count towards the limit: they are
+    // what probing for registered emails looks like, while a class of interns signing up
+    // behind one school network should not lock each other out.
     const existingUserEmail = await kv.get(`user:email:${email.toLowerCase()}`);
     const existingUserUsername = await kv.get(`user:username:${username.toLowerCase()}`);
     
-    if (existingUserEmail) {
-      return res.status(400).json({ status: 'error', message: 'Email already registered' });
-    }
-    
-    if (existingUserUsername) {
-      return res.status(400).json({ status: 'error', message: 'Username already taken' });
+    if (existingUserEmail || existingUserUsername) {
+      const lockout = await recordAttempt('registerIp', req.ip);
+      if (lockout) {
+        return rateLimited(res, lockout);
+      }
+      return res.status(400).json({
+        status: 'error',
+        message: existingUserEmail ? 'Email already registered' : 'Username already taken'
+      });
     }
     
     // Hash password with bcryptjs (10 salt rounds for security)
@@ -165,18 +863,28 @@ app.post('/api/auth/register', async (req, res) => {
       email: email.toLowerCase(),
       username,
       password: hashedPassword,
+      emailVerified: false,
       createdAt: new Date().toISOString(),
       totalHours: 0,
-      sessions: []
+      sessions: [],
+      settings: getUserSettings({})
     };
     
-    await kv.set(`user:${userId}`, userData, { ex: 60 * 60 * 24 * 365 });
-    await kv.set(`user:email:${email.toLowerCase()}`, userId, { ex: 60 * 60 * 24 * 365 });
-    await kv.set(`user:username:${username.toLowerCase()}`, userId, { ex: 60 * 60 * 24 * 365 });
+    await saveUser(userData);
+    await saveUserIndexes(userData);
+    
+    // The account exists either way; a failed mail can be resent from the login page
+    try {
+      await sendVerificationEmail(req, userData);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
     
     res.status(201).json({ 
       status: 'ok', 
-      message: 'User registered successfully. Please log in.' 
+      message: REQUIRE_EMAIL_VERIFICATION
+        ? 'Account created. Check your email for a link to verify your address, then log in.'
+        : 'Account created. You can log in now.'
     });
   } catch (error) {
     return handleRouteError(res, error, 'Registration failed');
@@ -198,46 +906,81 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Invalid email format' });
     }
     
+    // Failures are counted per IP and per email (registered or not), so a
+    // locked account looks the same as an unknown one
+    const account = email.toLowerCase();
+    const retryAfter = Math.max(
+      await getRetryAfter('loginIp', req.ip),
+      await getRetryAfter('loginAccount', account)
+    );
+    
+    if (retryAfter) {
+      return rateLimited(res, retryAfter);
+    }
+    
+    const rejectLogin = async () => {
+      const lockout = Math.max(
+        await recordAttempt('loginIp', req.ip),
+        await recordAttempt('loginAccount', account)
+      );
+      if (lockout) {
+        return rateLimited(res, lockout);
+      }
+      return res.status(401).json({ status: 'error', message: 'Invalid email or password' });
+    };
+    
     // Find user by email
-    const userId = await kv.get(`user:email:${email.toLowerCase()}`);
+    const userId = await kv.get(`user:email:${account}`);
     
     if (!userId) {
-      return res.status(401).json({ status: 'error', message: 'Invalid email or password' });
+      return rejectLogin();
     }
     
     // Get user data
     const user = await kv.get(`user:${userId}`);
     
     if (!user) {
-      return res.status(401).json({ status: 'error', message: 'Invalid email or password' });
+      return rejectLogin();
     }
     
     // Compare password with hash (protection against timing attacks built into bcryptjs)
     const isValidPassword = await bcrypt.compare(password, user.password);
     
     if (!isValidPassword) {
-      return res.status(401).json({ status: 'error', message: 'Invalid email or password' });
+      return rejectLogin();
     }
     
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user.userId, username: user.username },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    await clearAttempts('loginAccount', account);
     
-    // Set secure cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Accounts created before verification existed have no emailVerified field
+    if (REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'email_unverified',
+        message: 'Please verify your email address first. Check your inbox for the link.'
+      });
+    }
+    
+    // The second step, /api/auth/2fa, starts the session
+    if (isTwoFactorEnabled(user)) {
+      const challenge = await createAuthToken('2fa-challenge', user.userId, TWO_FACTOR_CHALLENGE_TTL);
+      return res.json({
+        status: 'ok',
+        twoFactorRequired: true,
+        challenge,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+    
+    // Start a session for this device and set the token cookies; the tokens stay
+    // out of the body so page scripts never see them
+    await createAuthSession(req, res, user);
+    await saveUser(user);
+    await saveUserIndexes(user);
     
     res.json({ 
       status: 'ok',
       message: 'Logged in successfully',
-      token,
       username: user.username
     });
   } catch (error) {
@@ -245,68 +988,1963 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Logout endpoint
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ status: 'ok', message: 'Logged out successfully' });
-});
+// Second login step for accounts with 2FA: the challenge from /api/auth/login plus a code
+app.post('/api/auth/2fa', async (req, res) => {
+  try {
+    const { challenge, code } = req.body;
 
-// Protected Routes
+    if (!challenge || !code) {
+      return res.status(400).json({ status: 'error', message: 'Code required' });
+    }
 
-// Main app page (redirect to login if not authenticated)
-app.get('/', (req, res) => {
-  res.sendFile(path.join(templatesDir, 'index.html'));
-});
+    const entry = await readAuthToken('2fa-challenge', challenge);
+    const user = entry && await kv.get(`user:${entry.userId}`);
 
-// Get user data (protected)
-app.get('/api/data', authenticateToken, async (req, res) => {
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({ status: 'error', code: 'challenge_expired', message: 'Sign-in expired. Please log in again.' });
+    }
+
+    const retryAfter = await getRetryAfter('twoFactor', user.userId);
+    if (retryAfter) {
+      return rateLimited(res, retryAfter);
+    }
+
+    if (!checkTwoFactorCode(user, code)) {
+      const lockout = await recordAttempt('twoFactor', user.userId);
+      if (lockout) {
+        return rateLimited(res, lockout);
+      }
+      return res.status(401).json({ status: 'error', message: 'Invalid code' });
+    }
+
+    await consumeAuthToken('2fa-challenge', challenge);
+    await clearAttempts('twoFactor', user.userId);
+
+    await createAuthSession(req, res, user);
+    await saveUser(user);
+
+    res.json({
+      status: 'ok',
+      message: 'Logged in successfully',
+      username: user.username,
+      recoveryCodesLeft: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Login failed');
+  }
+});
+
+// Confirm an email address from the link in the verification mail
+app.get('/api/auth/verify', async (req, res) => {
+  try {
+    const entry = await consumeAuthToken('verify-token', req.query.token);
+    const user = entry && await kv.get(`user:${entry.userId}`);
+
+    if (!user) {
+      return res.redirect('/auth.html?verified=0');
+    }
+
+    user.emailVerified = true;
+    await saveUser(user);
+    res.redirect('/auth.html?verified=1');
+  } catch (error) {
+    return handleRouteError(res, error, 'Verification failed');
+  }
+});
+
+// Send the verification mail again. The answer is the same whether or not the
+// email is registered, so it cannot be used to find accounts.
+app.post('/api/auth/verify/resend', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid email format' });
+    }
+
+    if (!mailer.delivers) {
+      return res.status(503).json({ status: 'error', message: 'Email is not set up on this server. Contact the administrator.' });
+    }
+
+    const userId = await kv.get(`user:email:${email.toLowerCase()}`);
+    const user = userId && await kv.get(`user:${userId}`);
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(req, user);
+    }
+
+    res.json({ status: 'ok', message: 'If this account still needs verification, a new link is on its way.' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to send verification email');
+  }
+});
+
+// Request a password reset link (same answer whether or not the email exists)
+app.post('/api/auth/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid email format' });
+    }
+
+    if (!mailer.delivers) {
+      return res.status(503).json({ status: 'error', message: 'Email is not set up on this server. Contact the administrator.' });
+    }
+
+    const userId = await kv.get(`user:email:${email.toLowerCase()}`);
+    const user = userId && await kv.get(`user:${userId}`);
+    if (user) {
+      const token = await createAuthToken('reset-token', user.userId, RESET_TOKEN_TTL);
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your Hours Tracker password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. ` +
+          `If that was you, choose a new password here:\n\n${getAppUrl(req)}/auth.html?reset=${token}\n\n` +
+          'This link expires in 1 hour and works once. If you did not ask for this, you can ignore this email.'
+      });
+    }
+
+    res.json({ status: 'ok', message: 'If an account exists for this email, a reset link is on its way.' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to send reset email');
+  }
+});
+
+// Set a new password with a reset token
+app.post('/api/auth/reset', async (req, res) => {
+  try {
+    const { token, password, passwordConfirm } = req.body;
+
+    if (!password || !passwordConfirm) {
+      return res.status(400).json({ status: 'error', message: 'All fields required' });
+    }
+
+    if (password !== passwordConfirm) {
+      return res.status(400).json({ status: 'error', message: 'Passwords do not match' });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ 
+        status: 'error', 
+        message: 'Password: min 8 chars, uppercase, lowercase, number required' 
+      });
+    }
+
+    const entry = await consumeAuthToken('reset-token', token);
+    const user = entry && await kv.get(`user:${entry.userId}`);
+
+    // Links requested before the last password change no longer work
+    if (!user || (user.passwordChangedAt && entry.createdAt < Date.parse(user.passwordChangedAt))) {
+      return res.status(400).json({ status: 'error', message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    // Following the mailed link proves the address is theirs
+    user.emailVerified = true;
+    // Whoever knew the old password is signed out
+    await revokeAllAuthSessions(user);
+    await saveUser(user);
+
+    res.json({ status: 'ok', message: 'Password updated. You can now log in.' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to reset password');
+  }
+});
+
+// Logout endpoint
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    // End this device's session so its tokens stop working, not just the cookies
+    const auth = await resolveAuth(req, res);
+    if (auth) {
+      const user = await kv.get(`user:${auth.userId}`);
+      if (user) {
+        await revokeAuthSession(user, auth.sid);
+        await saveUser(user);
+      }
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+  
+  clearAuthCookies(res);
+  res.json({ status: 'ok', message: 'Logged out successfully' });
+});
+
+// Exchange the refresh token cookie for new tokens
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const refreshed = await refreshAuthSession(req, res);
+    
+    if (!refreshed) {
+      clearAuthCookies(res);
+      return res.status(401).json({ status: 'error', message: 'Session expired, please log in again' });
+    }
+    
+    res.json({ status: 'ok', message: 'Session refreshed' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to refresh session');
+  }
+});
+
+// Sign out on every device (protected)
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    
+    await revokeAllAuthSessions(user);
+    await saveUser(user);
+    
+    clearAuthCookies(res);
+    res.json({ status: 'ok', message: 'Logged out on all devices' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to log out everywhere');
+  }
+});
+
+// Signed-in devices (protected)
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    
+    const sessions = [];
+    for (const sid of user.authSessions || []) {
+      const session = await kv.get(`auth-session:${sid}`);
+      if (session) {
+        const { userAgent, ip, createdAt, lastUsedAt } = session;
+        sessions.push({ sid, userAgent, ip, createdAt, lastUsedAt, current: sid === req.sessionId });
+      }
+    }
+    
+    // Drop sessions that have expired in the meantime
+    if (sessions.length !== (user.authSessions || []).length) {
+      user.authSessions = sessions.map(s => s.sid);
+      await saveUser(user);
+    }
+    
+    sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+    res.json({ status: 'ok', data: { sessions } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch sessions');
+  }
+});
+
+// Sign out one device (protected)
+app.delete('/api/auth/sessions/:sid', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    
+    if (!(user.authSessions || []).includes(req.params.sid)) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+    
+    await revokeAuthSession(user, req.params.sid);
+    await saveUser(user);
+    
+    if (req.params.sid === req.sessionId) {
+      clearAuthCookies(res);
+    }
+    res.json({ status: 'ok', message: 'Session revoked' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to revoke session');
+  }
+});
+
+// Protected Routes
+
+// Main app page (redirect to login if not authenticated)
+app.get('/', (req, res) => {
+  res.sendFile(path.join(templatesDir, 'index.html'));
+});
+
+// Get user data (protected)
+app.get('/api/data', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    
+    setRevisionHeader(req, res, user.revision);
+    res.json({
+      status: 'ok',
+      data: {
+        sessions: user.sessions || [],
+        totalHours: user.totalHours || 0,
+        revision: user.revision || 0,
+        settings: getUserSettings(user)
+      }
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch data');
+  }
+});
+
+// Save user data (protected)
+app.post('/api/data', authenticateToken, async (req, res) => {
+  try {
+    const { sessions } = req.body;
+
+    // Validate data
+    if (!Array.isArray(sessions)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid data format' });
+    }
+
+    // Validate every session; the whole write is rejected if one is invalid
+    const validated = [];
+    const seenIds = new Set();
+    let duplicatesRemoved = 0;
+    for (let i = 0; i < sessions.length; i++) {
+      const { session, error } = validateSession(sessions[i]);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: `Session ${i + 1}: ${error}` });
+      }
+      // Exact copies (e.g. from importing the same file twice) are dropped
+      if (validated.some(other => sessionsEqual(other, session))) {
+        duplicatesRemoved++;
+        continue;
+      }
+      if (seenIds.has(session.id)) {
+        session.id = generateSessionId();
+      }
+      seenIds.add(session.id);
+      validated.push(session);
+    }
+
+    // Get current user
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    // Replacing everything without saying which copy it was based on would silently
+    // overwrite changes made elsewhere
+    const baseRevision = parseIfMatch(req.get('if-match'), req.userId);
+    if (baseRevision === null) {
+      setRevisionHeader(req, res, user.revision);
+      return res.status(428).json({
+        status: 'error',
+        message: 'If-Match header with the current revision is required'
+      });
+    }
+
+    // Reject writes based on an outdated copy of the data
+    if (baseRevision !== (user.revision || 0)) {
+      setRevisionHeader(req, res, user.revision);
+      return res.status(409).json({
+        status: 'error',
+        message: 'Data was changed elsewhere. Resolve the conflict and try again.',
+        data: {
+          sessions: user.sessions || [],
+          totalHours: user.totalHours || 0,
+          revision: user.revision || 0
+        }
+      });
+    }
+
+    // Sessions under review or approved keep their stored copy, whatever the client sent
+    const locked = (user.sessions || []).filter(isLocked);
+    const lockedIds = new Set(locked.map(s => s.id));
+    const unlocked = validated.filter(s => !lockedIds.has(s.id));
+
+    // Sessions that are unchanged keep their revision
+    const previous = new Map((user.sessions || []).map(s => [s.id, s]));
+    const changed = [];
+    unlocked.forEach(session => {
+      const existing = previous.get(session.id);
+      if (existing && sessionsEqual(existing, session)) {
+        session.revision = existing.revision;
+      } else {
+        changed.push(session);
+      }
+    });
+
+    // New or edited sessions may not overlap another session. Overlaps that are
+    // already stored are left alone so older data can still be saved.
+    const nextSessions = [...unlocked, ...locked];
+    for (const session of changed) {
+      const overlaps = findOverlaps(session, nextSessions);
+      if (overlaps.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Session on ${session.date} from ${session.startTime} to ${session.endTime}: ${overlapError(overlaps)}`,
+          overlaps
+        });
+      }
+    }
+
+    // Update user data (totalHours is recomputed, never taken from the client)
+    user.sessions = nextSessions;
+    recalculateTotals(user, changed);
+
+    await saveUser(user);
+
+    setRevisionHeader(req, res, user.revision);
+    res.json({
+      status: 'ok',
+      message: 'Data saved successfully',
+      data: {
+        sessions: user.sessions,
+        totalHours: user.totalHours,
+        revision: user.revision,
+        duplicatesRemoved
+      }
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to save data');
+  }
+});
+
+// Get settings (protected)
+app.get('/api/settings', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    res.json({ status: 'ok', data: { settings: getUserSettings(user) } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch settings');
+  }
+});
+
+// Update settings (protected)
+app.put('/api/settings', authenticateToken, async (req, res) => {
+  try {
+    const { settings, error } = validateSettings(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    // Settings are part of GET /api/data, so other devices must not keep revalidating
+    // their cached copy against the old revision
+    user.settings = settings;
+    recalculateTotals(user);
+    await saveUser(user);
+
+    setRevisionHeader(req, res, user.revision);
+    res.json({ status: 'ok', data: { settings, revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to save settings');
+  }
+});
+
+// List sessions (protected)
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    setRevisionHeader(req, res, user.revision);
+    res.json({
+      status: 'ok',
+      data: { sessions: user.sessions || [], totalHours: user.totalHours || 0, revision: user.revision || 0 }
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch sessions');
+  }
+});
+
+// Get a single session (protected)
+app.get('/api/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const session = (user.sessions || []).find(s => s.id === req.params.id);
+    if (!session) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    setRevisionHeader(req, res, session.revision);
+    res.json({ status: 'ok', data: { session } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch session');
+  }
+});
+
+// Create a session (protected)
+app.post('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { session, error } = validateSession(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    user.sessions = user.sessions || [];
+    if (user.sessions.some(s => s.id === session.id)) {
+      return res.status(409).json({ status: 'error', message: 'A session with this id already exists' });
+    }
+
+    const overlaps = findOverlaps(session, user.sessions);
+    if (overlaps.length > 0) {
+      return res.status(400).json({ status: 'error', message: overlapError(overlaps), overlaps });
+    }
+
+    user.sessions.push(session);
+    recalculateTotals(user, [session]);
+    await saveUser(user);
+
+    setRevisionHeader(req, res, session.revision);
+    res.status(201).json({ status: 'ok', data: { session, totalHours: user.totalHours, revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to create session');
+  }
+});
+
+// Update a session (protected)
+app.put('/api/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { session, error } = validateSession({ ...req.body, id: req.params.id });
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const index = (user.sessions || []).findIndex(s => s.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    const existing = user.sessions[index];
+    if (isLocked(existing)) {
+      return res.status(423).json({ status: 'error', message: lockedMessage(existing) });
+    }
+
+    const baseRevision = parseIfMatch(req.get('if-match'), req.userId);
+    if (baseRevision !== null && baseRevision !== (existing.revision || 0)) {
+      setRevisionHeader(req, res, existing.revision);
+      return res.status(409).json({
+        status: 'error',
+        message: 'Session was changed elsewhere',
+        data: { session: existing, revision: user.revision || 0 }
+      });
+    }
+
+    const overlaps = findOverlaps(session, user.sessions);
+    if (overlaps.length > 0) {
+      return res.status(400).json({ status: 'error', message: overlapError(overlaps), overlaps });
+    }
+
+    user.sessions[index] = session;
+    recalculateTotals(user, [session]);
+    await saveUser(user);
+
+    setRevisionHeader(req, res, session.revision);
+    res.json({ status: 'ok', data: { session, totalHours: user.totalHours, revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to update session');
+  }
+});
+
+// Delete a session (protected)
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const sessions = user.sessions || [];
+    const existing = sessions.find(s => s.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    if (isLocked(existing)) {
+      return res.status(423).json({ status: 'error', message: lockedMessage(existing) });
+    }
+
+    const baseRevision = parseIfMatch(req.get('if-match'), req.userId);
+    if (baseRevision !== null && baseRevision !== (existing.revision || 0)) {
+      setRevisionHeader(req, res, existing.revision);
+      return res.status(409).json({
+        status: 'error',
+        message: 'Session was changed elsewhere',
+        data: { session: existing, revision: user.revision || 0 }
+      });
+    }
+
+    user.sessions = sessions.filter(s => s.id !== req.params.id);
+    recalculateTotals(user);
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { totalHours: user.totalHours, revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to delete session');
+  }
+});
+
+// Replace the signed-in supervisor's link code, e.g. after it leaked (protected, supervisors only)
+app.post('/api/supervisor/code', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (await getUserRole(user) !== 'supervisor') {
+      return res.status(403).json({ status: 'error', message: 'Only supervisors can hand out a link code' });
+    }
+
+    if (user.supervisorCode) {
+      await kv.del(`supervisor:code:${user.supervisorCode}`);
+    }
+    user.supervisorCode = generateInviteCode();
+    await kv.set(`supervisor:code:${user.supervisorCode}`, user.userId);
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { linkCode: user.supervisorCode } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to create link code');
+  }
+});
+
+// Link the signed-in intern to a supervisor with the link code that supervisor
+// handed out, so nobody is linked without the supervisor agreeing (protected)
+app.put('/api/supervisor', authenticateToken, async (req, res) => {
+  try {
+    const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+
+    if (!/^[0-9A-F]{10}$/.test(code)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid link code' });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (!user.orgId) {
+      return res.status(400).json({ status: 'error', message: 'Join your organization before linking a supervisor' });
+    }
+
+    if (await getUserRole(user) !== 'intern') {
+      return res.status(403).json({ status: 'error', message: 'Only interns can choose a supervisor' });
+    }
+
+    const supervisorId = await kv.get(`supervisor:code:${code}`);
+    const supervisor = supervisorId && await kv.get(`user:${supervisorId}`);
+
+    if (!supervisor || supervisor.supervisorCode !== code || supervisor.orgId !== user.orgId ||
+        await getUserRole(supervisor) !== 'supervisor') {
+      return res.status(404).json({ status: 'error', message: 'No supervisor in your organization with this link code' });
+    }
+
+    // Move the intern away from a previous supervisor
+    if (user.supervisorId && user.supervisorId !== supervisor.userId) {
+      const previous = await kv.get(`user:${user.supervisorId}`);
+      if (previous) {
+        previous.internIds = (previous.internIds || []).filter(id => id !== user.userId);
+        await saveUser(previous);
+      }
+    }
+
+    supervisor.internIds = [...new Set([...(supervisor.internIds || []), user.userId])];
+    user.supervisorId = supervisor.userId;
+    await saveUser(supervisor);
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { supervisor: { username: supervisor.username, email: supervisor.email } } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to link supervisor');
+  }
+});
+
+// List submissions: an intern's own, or all of a supervisor's interns (protected)
+app.get('/api/submissions', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (await getUserRole(user) === 'supervisor') {
+      const submissions = [];
+      for (const internId of user.internIds || []) {
+        const intern = await kv.get(`user:${internId}`);
+        if (!intern || intern.orgId !== user.orgId) continue;
+        (intern.submissions || []).forEach(s => submissions.push(describeSubmission(s, intern)));
+      }
+      submissions.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+      return res.json({ status: 'ok', data: { role: 'supervisor', linkCode: user.supervisorCode || null, submissions } });
+    }
+
+    const supervisor = user.supervisorId && await kv.get(`user:${user.supervisorId}`);
+    res.json({
+      status: 'ok',
+      data: {
+        role: 'intern',
+        supervisor: supervisor ? { username: supervisor.username, email: supervisor.email } : null,
+        submissions: (user.submissions || [])
+          .map(s => describeSubmission(s, user))
+          .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+      }
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch submissions');
+  }
+});
+
+// Submit a week or month of sessions to the supervisor (protected)
+app.post('/api/submissions', authenticateToken, async (req, res) => {
+  try {
+    const { periodType, date } = req.body;
+
+    if (!PERIOD_TYPES.includes(periodType)) {
+      return res.status(400).json({ status: 'error', message: `Period must be one of: ${PERIOD_TYPES.join(', ')}` });
+    }
+
+    if (!validateDate(date)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date (expected YYYY-MM-DD)' });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (await getUserRole(user) !== 'intern') {
+      return res.status(403).json({ status: 'error', message: 'Only interns can submit hours' });
+    }
+
+    const supervisor = user.supervisorId && await kv.get(`user:${user.supervisorId}`);
+
+    if (!supervisor || !(await supervises(supervisor, user))) {
+      return res.status(400).json({ status: 'error', message: 'Link a supervisor before submitting hours' });
+    }
+
+    const { periodStart, periodEnd } = getPeriodRange(periodType, date);
+    const included = (user.sessions || []).filter(s =>
+      s.date >= periodStart && s.date <= periodEnd && !isLocked(s)
+    );
+
+    if (included.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'No unsubmitted sessions in this period' });
+    }
+
+    const submission = {
+      id: `sub_${generateSessionId()}`,
+      periodType,
+      periodStart,
+      periodEnd,
+      sessionIds: included.map(s => s.id),
+      totalHours: Math.round(included.reduce((sum, s) => sum + s.netMinutes, 0) / 60 * 100) / 100,
+      status: 'pending',
+      comment: '',
+      submittedAt: new Date().toISOString()
+    };
+
+    included.forEach(session => {
+      session.approval = 'pending';
+      session.submissionId = submission.id;
+    });
+    user.submissions = [...(user.submissions || []), submission];
+    recalculateTotals(user, included);
+    await saveUser(user);
+
+    res.status(201).json({ status: 'ok', data: { submission: describeSubmission(submission, user), revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to submit hours');
+  }
+});
+
+// Approve or reject a submission (protected, supervisors only)
+app.put('/api/submissions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { internId, status, comment = '' } = req.body;
+
+    if (status !== 'approved' && status !== 'rejected') {
+      return res.status(400).json({ status: 'error', message: 'Status must be approved or rejected' });
+    }
+
+    if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ status: 'error', message: `Comment must be text of at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    if (status === 'rejected' && !comment.trim()) {
+      return res.status(400).json({ status: 'error', message: 'Add a comment explaining the rejection' });
+    }
+
+    const supervisor = await kv.get(`user:${req.userId}`);
+
+    if (!supervisor) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const intern = await kv.get(`user:${internId}`);
+
+    if (!intern || !(await supervises(supervisor, intern))) {
+      return res.status(403).json({ status: 'error', message: 'Not the supervisor of this intern' });
+    }
+
+    const submission = (intern.submissions || []).find(s => s.id === req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({ status: 'error', message: 'Submission not found' });
+    }
+
+    if (submission.status !== 'pending') {
+      return res.status(409).json({ status: 'error', message: `Submission was already ${submission.status}` });
+    }
+
+    // Approved sessions stay locked; rejected ones can be edited and submitted again
+    const changed = (intern.sessions || []).filter(s => s.submissionId === submission.id);
+    changed.forEach(session => {
+      if (status === 'approved') {
+        session.approval = 'approved';
+      } else {
+        delete session.approval;
+        delete session.submissionId;
+      }
+    });
+
+    submission.status = status;
+    submission.comment = comment.trim();
+    submission.decidedAt = new Date().toISOString();
+    submission.decidedBy = supervisor.username;
+    recalculateTotals(intern, changed);
+    await saveUser(intern);
+
+    res.json({ status: 'ok', data: { submission: describeSubmission(submission, intern) } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to review submission');
+  }
+});
+
+// Withdraw a pending submission so its sessions can be changed again (protected, interns)
+app.post('/api/submissions/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const submission = (user.submissions || []).find(s => s.id === req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({ status: 'error', message: 'Submission not found' });
+    }
+
+    if (submission.status !== 'pending') {
+      return res.status(409).json({ status: 'error', message: `Submission was already ${submission.status}` });
+    }
+
+    withdrawSubmissions(user, [submission]);
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { submission: describeSubmission(submission, user), revision: user.revision } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to withdraw submission');
+  }
+});
+
+// Create an organization; the creator becomes its admin (protected)
+app.post('/api/orgs', authenticateToken, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > MAX_ORG_NAME_LENGTH) {
+      return res.status(400).json({ status: 'error', message: `Name must be 1-${MAX_ORG_NAME_LENGTH} characters` });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (await getUserOrg(user)) {
+      return res.status(400).json({ status: 'error', message: 'Leave your current organization first' });
+    }
+
+    const membership = { userId: user.userId, role: 'admin', joinedAt: new Date().toISOString() };
+    const org = {
+      orgId: `org_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      inviteCode: generateInviteCode(),
+      createdAt: new Date().toISOString(),
+      members: [membership]
+    };
+
+    await saveOrg(org);
+    await kv.set(`org:invite:${org.inviteCode}`, org.orgId);
+    user.orgId = org.orgId;
+    await saveUser(user);
+
+    res.status(201).json({ status: 'ok', data: { org: describeOrg(org, membership) } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to create organization');
+  }
+});
+
+// Join an organization with its invite code (protected)
+app.post('/api/orgs/join', authenticateToken, async (req, res) => {
+  try {
+    const inviteCode = typeof req.body.inviteCode === 'string' ? req.body.inviteCode.trim().toUpperCase() : '';
+
+    if (!/^[0-9A-F]{10}$/.test(inviteCode)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid invite code' });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    if (await getUserOrg(user)) {
+      return res.status(400).json({ status: 'error', message: 'Leave your current organization first' });
+    }
+
+    const orgId = await kv.get(`org:invite:${inviteCode}`);
+    const org = orgId && await kv.get(`org:${orgId}`);
+
+    if (!org || org.inviteCode !== inviteCode) {
+      return res.status(404).json({ status: 'error', message: 'Invalid invite code' });
+    }
+
+    const membership = { userId: user.userId, role: 'member', joinedAt: new Date().toISOString() };
+    org.members.push(membership);
+    await saveOrg(org);
+    user.orgId = org.orgId;
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { org: describeOrg(org, membership) } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to join organization');
+  }
+});
+
+// The signed-in user's organization, or null (protected)
+app.get('/api/orgs/current', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const current = await getUserOrg(user);
+    res.json({ status: 'ok', data: { org: current ? describeOrg(current.org, current.membership) : null } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch organization');
+  }
+});
+
+// Replace the invite code, e.g. after it leaked (protected, admins only)
+app.post('/api/orgs/current/invite-code', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    const current = user && await getUserOrg(user);
+
+    if (!current || current.membership.role !== 'admin') {
+      return res.status(403).json({ status: 'error', message: 'Only organization admins can do this' });
+    }
+
+    const { org, membership } = current;
+    await kv.del(`org:invite:${org.inviteCode}`);
+    org.inviteCode = generateInviteCode();
+    await kv.set(`org:invite:${org.inviteCode}`, org.orgId);
+    await saveOrg(org);
+
+    res.json({ status: 'ok', data: { org: describeOrg(org, membership) } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to replace invite code');
+  }
+});
+
+// Overview of every member's hours (protected, admins and supervisors)
+app.get('/api/orgs/current/members', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    const current = user && await getUserOrg(user);
+
+    if (!current || current.membership.role === 'member') {
+      return res.status(403).json({ status: 'error', message: 'Only organization admins and supervisors can see members' });
+    }
+
+    const members = [];
+    for (const { userId, role, joinedAt } of current.org.members) {
+      const member = await kv.get(`user:${userId}`);
+      if (!member) continue;
+
+      const sessions = member.sessions || [];
+      const { targetHours, endDate } = getUserSettings(member);
+      const totalHours = member.totalHours || 0;
+      members.push({
+        userId,
+        username: member.username,
+        email: member.email,
+        role,
+        joinedAt,
+        totalHours,
+        targetHours,
+        remainingHours: Math.max(0, Math.round((targetHours - totalHours) * 100) / 100),
+        endDate,
+        sessionCount: sessions.length,
+        lastSessionDate: sessions.reduce((latest, s) => (s.date > latest ? s.date : latest), '') || null,
+        lastActivity: member.updatedAt || member.createdAt
+      });
+    }
+
+    res.json({ status: 'ok', data: { org: describeOrg(current.org, current.membership), members } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to fetch members');
+  }
+});
+
+// Change a member's role (protected, admins only)
+app.put('/api/orgs/current/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ status: 'error', message: `Role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+    const current = user && await getUserOrg(user);
+
+    if (!current || current.membership.role !== 'admin') {
+      return res.status(403).json({ status: 'error', message: 'Only organization admins can do this' });
+    }
+
+    const { org } = current;
+    const target = org.members.find(m => m.userId === req.params.userId);
+
+    if (!target) {
+      return res.status(404).json({ status: 'error', message: 'Member not found' });
+    }
+
+    if (target.role === 'admin' && role !== 'admin' && org.members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({ status: 'error', message: 'An organization needs at least one admin' });
+    }
+
+    const demoted = target.role !== 'member' && role === 'member';
+    target.role = role;
+    await saveOrg(org);
+
+    // A demoted supervisor can no longer review what their interns submitted
+    if (demoted) {
+      const member = await kv.get(`user:${target.userId}`);
+      if (member) await withdrawInternSubmissions(member);
+    }
+
+    res.json({ status: 'ok', data: { member: target } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to change role');
+  }
+});
+
+// Remove a member; anyone can remove themselves to leave (protected)
+app.delete('/api/orgs/current/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const user = await kv.get(`user:${req.userId}`);
+    const current = user && await getUserOrg(user);
+
+    if (!current) {
+      return res.status(404).json({ status: 'error', message: 'Not in an organization' });
+    }
+
+    const { org, membership } = current;
+    const leaving = req.params.userId === user.userId;
+
+    if (!leaving && membership.role !== 'admin') {
+      return res.status(403).json({ status: 'error', message: 'Only organization admins can do this' });
+    }
+
+    const target = org.members.find(m => m.userId === req.params.userId);
+
+    if (!target) {
+      return res.status(404).json({ status: 'error', message: 'Member not found' });
+    }
+
+    const admins = org.members.filter(m => m.role === 'admin');
+    if (target.role === 'admin' && admins.length === 1 && org.members.length > 1) {
+      return res.status(400).json({ status: 'error', message: 'Make someone else admin before leaving' });
+    }
+
+    org.members = org.members.filter(m => m.userId !== target.userId);
+    if (org.members.length === 0) {
+      // Last member gone: remove the organization itself
+      await kv.del(`org:invite:${org.inviteCode}`);
+      await kv.del(`org:${org.orgId}`);
+    } else {
+      await saveOrg(org);
+    }
+
+    // Submissions waiting for a supervisor in the organization go back to drafts,
+    // whether the intern or the supervisor is the one who left
+    const removed = leaving ? user : await kv.get(`user:${target.userId}`);
+    if (removed) {
+      if (target.role !== 'member') await withdrawInternSubmissions(removed);
+      withdrawPendingSubmissions(removed);
+      delete removed.orgId;
+      await saveUser(removed);
+    }
+
+    res.json({ status: 'ok', message: leaving ? 'Left organization' : 'Member removed' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to remove member');
+  }
+});
+
+// Bestanden BIM files. A user's file and folder metadata lives in one record,
+// `files:${userId}` = { files, folders }; file contents go to the blob store under
+// `${userId}/${versionId}`. Ids are chosen by the client, so retried uploads are harmless.
+// A file record describes its current version (versionId, version, size, type, uploadedAt)
+// and lists the older ones in `versions`. The first version's id is the file id.
+// Uploads and downloads pass through the function, and Vercel refuses bodies over 4.5 MB
+const PLATFORM_MAX_FILE_MB = process.env.VERCEL ? 4 : Infinity;
+const MAX_FILE_MB = Math.min(Number(process.env.MAX_FILE_MB) || 50, PLATFORM_MAX_FILE_MB);
+const MAX_FILE_NAME_LENGTH = 255;
+
+function validateItemId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+function validateItemName(name) {
+  return typeof name === 'string' && name.trim().length > 0 &&
+    name.length <= MAX_FILE_NAME_LENGTH && !/[\u0000-\u001f]/.test(name);
+}
+
+async function getFileIndex(userId) {
+  return (await kv.get(`files:${userId}`)) || { files: [], folders: [] };
+}
+
+async function saveFileIndex(userId, index) {
+  await kv.set(`files:${userId}`, index);
+}
+
+function blobKey(userId, versionId) {
+  return `${userId}/${versionId}`;
+}
+
+// Records from before versioning are version 1, stored under the file id
+function getVersionId(file) {
+  return file.versionId || file.id;
+}
+
+function getFileVersions(file) {
+  return [
+    { versionId: getVersionId(file), version: file.version || 1, size: file.size, type: file.type, uploadedAt: file.uploadedAt },
+    ...(file.versions || [])
+  ];
+}
+
+// Turn the file record into `version`, moving the current version into the history
+function setCurrentVersion(file, version) {
+  file.versions = getFileVersions(file)
+    .filter(v => v.versionId !== version.versionId)
+    .sort((a, b) => b.version - a.version);
+  Object.assign(file, version);
+}
+
+function getUploadType(type) {
+  return typeof type === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(type) ? type : 'application/octet-stream';
+}
+
+function getUploadDate(uploadedAt) {
+  return uploadedAt && !isNaN(Date.parse(uploadedAt)) ? new Date(uploadedAt).toISOString() : new Date().toISOString();
+}
+
+// Checks a parentId from a request: undefined keeps `current`, null is the top level;
+// returns { parentId } or { error }
+function resolveParentId(index, parentId, current = null) {
+  if (parentId === undefined) return { parentId: current };
+  if (parentId === null || parentId === '') return { parentId: null };
+  if (!index.folders.some(f => f.id === parentId)) {
+    return { error: 'Folder not found' };
+  }
+  return { parentId };
+}
+
+// Whether folderId is ancestorId or lies somewhere inside it
+function isInsideFolder(index, folderId, ancestorId) {
+  const seen = new Set();
+  let current = folderId;
+  while (current && !seen.has(current)) {
+    if (current === ancestorId) return true;
+    seen.add(current);
+    const folder = index.folders.find(f => f.id === current);
+    current = folder ? folder.parentId : null;
+  }
+  return false;
+}
+
+// Remove files from the index and their contents from the blob store
+async function deleteStoredFiles(userId, index, files) {
+  const ids = new Set(files.map(f => f.id));
+  index.files = index.files.filter(f => !ids.has(f.id));
+  if (!getBlobStore()) return;
+  for (const file of files) {
+    for (const version of getFileVersions(file)) {
+      await blobs.del(blobKey(userId, version.versionId));
+    }
+  }
+}
+
+// Reads the request body as the file contents, answering 413 for files over the limit
+const readFileBody = express.raw({ type: () => true, limit: MAX_FILE_MB * 1024 * 1024 });
+function parseFileUpload(req, res, next) {
+  readFileBody(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge ? `File is too large (max ${MAX_FILE_MB} MB)` : 'Invalid upload'
+      });
+    }
+    next();
+  });
+}
+
+// Every file and folder route needs the blob store; the rest of the app works without it
+app.use(['/api/files', '/api/folders'], (req, res, next) => {
+  if (!getBlobStore()) {
+    return res.status(503).json({ status: 'error', message: 'File storage not configured' });
+  }
+  next();
+});
+
+// List files and folders (protected)
+app.get('/api/files', authenticateToken, async (req, res) => {
+  try {
+    res.json({ status: 'ok', data: { ...await getFileIndex(req.userId), maxFileMb: MAX_FILE_MB } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to load files');
+  }
+});
+
+// Upload a file. The body is the raw contents, sent as application/octet-stream so no
+// other body parser touches it; id, name, parentId, type, uploadedAt and optionally
+// versionId go in the query (protected)
+app.post('/api/files', authenticateToken, parseFileUpload, async (req, res) => {
+  try {
+    const { id, name, type, uploadedAt, versionId = id } = req.query;
+
+    if (!validateItemId(id) || !validateItemId(versionId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid file id' });
+    }
+
+    if (!validateItemName(name)) {
+      return res.status(400).json({ status: 'error', message: `File name required (max ${MAX_FILE_NAME_LENGTH} chars)` });
+    }
+
+    const index = await getFileIndex(req.userId);
+    const existing = index.files.find(f => f.id === id);
+    if (existing) {
+      return res.json({ status: 'ok', data: { file: existing } });
+    }
+
+    const parent = resolveParentId(index, req.query.parentId);
+    if (parent.error) {
+      return res.status(400).json({ status: 'error', message: parent.error });
+    }
+
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const file = {
+      id,
+      name: name.trim(),
+      size: data.length,
+      type: getUploadType(type),
+      parentId: parent.parentId,
+      uploadedAt: getUploadDate(uploadedAt),
+      versionId,
+      version: 1,
+      versions: []
+    };
+
+    await blobs.put(blobKey(req.userId, versionId), data, file.type);
+    index.files.push(file);
+    await saveFileIndex(req.userId, index);
+
+    res.status(201).json({ status: 'ok', data: { file } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to upload file');
+  }
+});
+
+// Download a file's contents (protected)
+app.get('/api/files/:id/content', authenticateToken, async (req, res) => {
+  try {
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+    const data = file && await blobs.get(blobKey(req.userId, getVersionId(file)));
+
+    if (!data) {
+      return res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+
+    res.set('Content-Type', file.type);
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+    res.send(data);
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to download file');
+  }
+});
+
+// Upload a new version of a file; the raw body is the contents, versionId, type and
+// uploadedAt go in the query. The previous version is kept in the history (protected)
+app.post('/api/files/:id/versions', authenticateToken, parseFileUpload, async (req, res) => {
+  try {
+    const { versionId, type, uploadedAt } = req.query;
+
+    if (!validateItemId(versionId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid version id' });
+    }
+
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+
+    if (!file) {
+      return res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+
+    // Retried upload
+    if (getFileVersions(file).some(v => v.versionId === versionId)) {
+      return res.json({ status: 'ok', data: { file } });
+    }
+
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const version = {
+      versionId,
+      version: Math.max(...getFileVersions(file).map(v => v.version)) + 1,
+      size: data.length,
+      type: getUploadType(type),
+      uploadedAt: getUploadDate(uploadedAt)
+    };
+
+    await blobs.put(blobKey(req.userId, versionId), data, version.type);
+    setCurrentVersion(file, version);
+    await saveFileIndex(req.userId, index);
+
+    res.status(201).json({ status: 'ok', data: { file } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to upload version');
+  }
+});
+
+// Download one version of a file (protected)
+app.get('/api/files/:id/versions/:versionId/content', authenticateToken, async (req, res) => {
+  try {
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+    const version = file && getFileVersions(file).find(v => v.versionId === req.params.versionId);
+    const data = version && await blobs.get(blobKey(req.userId, version.versionId));
+
+    if (!data) {
+      return res.status(404).json({ status: 'error', message: 'Version not found' });
+    }
+
+    const [, base, extension] = file.name.match(/^(.*?)(\.[^.]*)?$/);
+    res.set('Content-Type', version.type);
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(`${base} (v${version.version})${extension || ''}`)}`);
+    res.send(data);
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to download version');
+  }
+});
+
+// Make an older version current again. Version numbers never change, so the
+// history still shows which revision was which (protected)
+app.post('/api/files/:id/versions/:versionId/restore', authenticateToken, async (req, res) => {
+  try {
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+    const version = file && getFileVersions(file).find(v => v.versionId === req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ status: 'error', message: 'Version not found' });
+    }
+
+    setCurrentVersion(file, version);
+    await saveFileIndex(req.userId, index);
+
+    res.json({ status: 'ok', data: { file } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to restore version');
+  }
+});
+
+// Rename a file or move it to another folder (protected)
+app.put('/api/files/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+
+    if (!file) {
+      return res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+
+    if (name !== undefined && !validateItemName(name)) {
+      return res.status(400).json({ status: 'error', message: `File name required (max ${MAX_FILE_NAME_LENGTH} chars)` });
+    }
+
+    const parent = resolveParentId(index, parentId, file.parentId);
+    if (parent.error) {
+      return res.status(400).json({ status: 'error', message: parent.error });
+    }
+
+    if (name !== undefined) file.name = name.trim();
+    file.parentId = parent.parentId;
+    await saveFileIndex(req.userId, index);
+
+    res.json({ status: 'ok', data: { file } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to update file');
+  }
+});
+
+// Delete a file (protected)
+app.delete('/api/files/:id', authenticateToken, async (req, res) => {
+  try {
+    const index = await getFileIndex(req.userId);
+    const file = index.files.find(f => f.id === req.params.id);
+
+    if (!file) {
+      return res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+
+    await deleteStoredFiles(req.userId, index, [file]);
+    await saveFileIndex(req.userId, index);
+
+    res.json({ status: 'ok', message: 'File deleted' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to delete file');
+  }
+});
+
+// Create a folder (protected)
+app.post('/api/folders', authenticateToken, async (req, res) => {
+  try {
+    const { id, name, parentId = null, createdAt } = req.body;
+
+    if (!validateItemId(id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid folder id' });
+    }
+
+    if (!validateItemName(name)) {
+      return res.status(400).json({ status: 'error', message: `Folder name required (max ${MAX_FILE_NAME_LENGTH} chars)` });
+    }
+
+    const index = await getFileIndex(req.userId);
+    const existing = index.folders.find(f => f.id === id);
+    if (existing) {
+      return res.json({ status: 'ok', data: { folder: existing } });
+    }
+
+    const parent = resolveParentId(index, parentId);
+    if (parent.error) {
+      return res.status(400).json({ status: 'error', message: parent.error });
+    }
+
+    const folder = {
+      id,
+      name: name.trim(),
+      parentId: parent.parentId,
+      createdAt: createdAt && !isNaN(Date.parse(createdAt)) ? new Date(createdAt).toISOString() : new Date().toISOString()
+    };
+    index.folders.push(folder);
+    await saveFileIndex(req.userId, index);
+
+    res.status(201).json({ status: 'ok', data: { folder } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to create folder');
+  }
+});
+
+// Rename a folder or move it into another one (protected)
+app.put('/api/folders/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+    const index = await getFileIndex(req.userId);
+    const folder = index.folders.find(f => f.id === req.params.id);
+
+    if (!folder) {
+      return res.status(404).json({ status: 'error', message: 'Folder not found' });
+    }
+
+    if (name !== undefined && !validateItemName(name)) {
+      return res.status(400).json({ status: 'error', message: `Folder name required (max ${MAX_FILE_NAME_LENGTH} chars)` });
+    }
+
+    const parent = resolveParentId(index, parentId, folder.parentId);
+    if (parent.error) {
+      return res.status(400).json({ status: 'error', message: parent.error });
+    }
+
+    if (parent.parentId && isInsideFolder(index, parent.parentId, folder.id)) {
+      return res.status(400).json({ status: 'error', message: 'A folder cannot be moved into itself' });
+    }
+
+    if (name !== undefined) folder.name = name.trim();
+    folder.parentId = parent.parentId;
+    await saveFileIndex(req.userId, index);
+
+    res.json({ status: 'ok', data: { folder } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to update folder');
+  }
+});
+
+// Delete a folder with everything in it (protected)
+app.delete('/api/folders/:id', authenticateToken, async (req, res) => {
+  try {
+    const index = await getFileIndex(req.userId);
+
+    if (!index.folders.some(f => f.id === req.params.id)) {
+      return res.status(404).json({ status: 'error', message: 'Folder not found' });
+    }
+
+    const removed = index.folders.filter(f => isInsideFolder(index, f.id, req.params.id));
+    const removedIds = new Set(removed.map(f => f.id));
+    await deleteStoredFiles(req.userId, index, index.files.filter(f => removedIds.has(f.parentId)));
+    index.folders = index.folders.filter(f => !removedIds.has(f.id));
+    await saveFileIndex(req.userId, index);
+
+    res.json({ status: 'ok', message: 'Folder deleted', data: { folderIds: [...removedIds] } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to delete folder');
+  }
+});
+
+// Account management
+
+// Load the signed-in user and check their current password; sends the error response itself
+async function verifyCurrentPassword(req, res) {
+  const { currentPassword } = req.body;
+
+  if (!currentPassword) {
+    res.status(400).json({ status: 'error', message: 'Current password required' });
+    return null;
+  }
+
+  const user = await kv.get(`user:${req.userId}`);
+
+  if (!user) {
+    res.status(404).json({ status: 'error', message: 'User not found' });
+    return null;
+  }
+
+  if (!await bcrypt.compare(currentPassword, user.password)) {
+    res.status(401).json({ status: 'error', message: 'Current password is incorrect' });
+    return null;
+  }
+
+  return user;
+}
+
+// With 2FA enabled, sensitive account changes also need a code, checked and rate limited
+// like at sign-in. Answers the request itself and returns false when the code is missing
+// or wrong; the caller saves the user, since a recovery code gets used up.
+async function verifyTwoFactorCode(req, res, user) {
+  if (!isTwoFactorEnabled(user)) return true;
+
+  if (!req.body.code) {
+    res.status(401).json({ status: 'error', twoFactorRequired: true, message: 'Enter a code from your authenticator app or a recovery code' });
+    return false;
+  }
+
+  const retryAfter = await getRetryAfter('twoFactor', user.userId);
+  if (retryAfter) {
+    rateLimited(res, retryAfter);
+    return false;
+  }
+
+  if (!checkTwoFactorCode(user, req.body.code)) {
+    const lockout = await recordAttempt('twoFactor', user.userId);
+    if (lockout) {
+      rateLimited(res, lockout);
+    } else {
+      res.status(401).json({ status: 'error', message: 'Invalid code' });
+    }
+    return false;
+  }
+
+  await clearAttempts('twoFactor', user.userId);
+  return true;
+}
+
+// Profile of the signed-in user (protected)
+app.get('/api/account', authenticateToken, async (req, res) => {
   try {
     const user = await kv.get(`user:${req.userId}`);
-    
+
     if (!user) {
       return res.status(404).json({ status: 'error', message: 'User not found' });
     }
-    
+
     res.json({
       status: 'ok',
       data: {
-        sessions: user.sessions || [],
-        totalHours: user.totalHours || 0
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        role: await getUserRole(user),
+        createdAt: user.createdAt,
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        recoveryCodesLeft: isTwoFactorEnabled(user) ? user.twoFactor.recoveryCodes.length : 0,
+        retentionDays: RETENTION_INACTIVE_DAYS || null
       }
     });
   } catch (error) {
-    return handleRouteError(res, error, 'Failed to fetch data');
+    return handleRouteError(res, error, 'Failed to fetch account');
   }
 });
 
-// Save user data (protected)
-app.post('/api/data', authenticateToken, async (req, res) => {
+// Start 2FA enrollment: a new secret to scan, requires the current password (protected)
+app.post('/api/account/2fa/setup', authenticateToken, async (req, res) => {
   try {
-    const { sessions, totalHours } = req.body;
-    
-    // Validate data
-    if (!Array.isArray(sessions)) {
-      return res.status(400).json({ status: 'error', message: 'Invalid data format' });
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is already enabled' });
     }
-    
-    // Get current user
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER);
+    user.twoFactor = { enabled: false, secret };
+    await saveUser(user);
+
+    res.json({
+      status: 'ok',
+      data: { secret, otpauthUri, qrCode: await QRCode.toDataURL(otpauthUri) }
+    });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes (protected)
+app.post('/api/account/2fa/enable', authenticateToken, async (req, res) => {
+  try {
     const user = await kv.get(`user:${req.userId}`);
-    
+
     if (!user) {
       return res.status(404).json({ status: 'error', message: 'User not found' });
     }
-    
-    // Update user data
-    user.sessions = sessions;
-    user.totalHours = totalHours || 0;
-    user.updatedAt = new Date().toISOString();
-    
-    // Save with 1-year expiry
-    await kv.set(`user:${req.userId}`, user, { ex: 60 * 60 * 24 * 365 });
-    
-    res.json({ status: 'ok', message: 'Data saved successfully' });
+
+    if (!user.twoFactor || isTwoFactorEnabled(user)) {
+      return res.status(400).json({ status: 'error', message: 'Start the two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.secret, String(req.body.code || '').replace(/\s/g, ''));
+    if (step === null) {
+      return res.status(400).json({ status: 'error', message: 'Invalid code. Check the time on your phone and try again.' });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date().toISOString();
+    user.twoFactor.lastStep = step;
+    const recoveryCodes = resetRecoveryCodes(user);
+    // Other devices signed in with the password alone
+    const session = await revokeAllAuthSessions(user, req.sessionId);
+    await saveUser(user);
+    if (session) {
+      issueAccessToken(res, user, session);
+    }
+
+    res.json({
+      status: 'ok',
+      message: 'Two-factor authentication enabled. Other devices have been signed out.',
+      data: { recoveryCodes }
+    });
   } catch (error) {
-    return handleRouteError(res, error, 'Failed to save data');
+    return handleRouteError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// Replace the recovery codes, requires the current password (protected)
+app.post('/api/account/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await saveUser(user);
+
+    res.json({ status: 'ok', data: { recoveryCodes } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to create recovery codes');
+  }
+});
+
+// Turn 2FA off, requires the current password and a code (protected)
+app.delete('/api/account/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifyTwoFactorCode(req, res, user)) return;
+
+    delete user.twoFactor;
+    await saveUser(user);
+
+    res.json({ status: 'ok', message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// Change password, requires the current one (protected)
+app.put('/api/account/password', authenticateToken, async (req, res) => {
+  try {
+    const { password, passwordConfirm } = req.body;
+
+    if (!password || !passwordConfirm) {
+      return res.status(400).json({ status: 'error', message: 'All fields required' });
+    }
+
+    if (password !== passwordConfirm) {
+      return res.status(400).json({ status: 'error', message: 'Passwords do not match' });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ 
+        status: 'error', 
+        message: 'Password: min 8 chars, uppercase, lowercase, number required' 
+      });
+    }
+
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date().toISOString();
+    // Sign out every other device; this one gets a token for the new token version
+    const session = await revokeAllAuthSessions(user, req.sessionId);
+    await saveUser(user);
+    if (session) {
+      issueAccessToken(res, user, session);
+    }
+
+    res.json({ status: 'ok', message: 'Password changed. Other devices have been signed out.' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to change password');
+  }
+});
+
+// Change email, requires the current password and, with 2FA on, a code; the new address
+// has to be verified (protected)
+app.put('/api/account/email', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid email format' });
+    }
+
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    const newEmail = email.toLowerCase();
+    if (newEmail === user.email) {
+      return res.status(400).json({ status: 'error', message: 'This is already your email address' });
+    }
+
+    if (await kv.get(`user:email:${newEmail}`)) {
+      return res.status(400).json({ status: 'error', message: 'Email already registered' });
+    }
+
+    if (!await verifyTwoFactorCode(req, res, user)) return;
+
+    await kv.set(`user:email:${newEmail}`, user.userId);
+    await kv.del(`user:email:${user.email}`);
+    user.email = newEmail;
+    user.emailVerified = false;
+    await saveUser(user);
+
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    res.json({ status: 'ok', message: 'Email changed. Check your new inbox for a verification link.', data: { email: newEmail } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to change email');
+  }
+});
+
+// Change username; the token carries it, so a new one is issued (protected)
+app.put('/api/account/username', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!username || !validateUsername(username)) {
+      return res.status(400).json({ status: 'error', message: 'Username: 3-20 chars, alphanumeric/dash/underscore only' });
+    }
+
+    const user = await kv.get(`user:${req.userId}`);
+
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const sameName = username.toLowerCase() === user.username.toLowerCase();
+    if (!sameName && await kv.get(`user:username:${username.toLowerCase()}`)) {
+      return res.status(400).json({ status: 'error', message: 'Username already taken' });
+    }
+
+    if (!sameName) {
+      await kv.set(`user:username:${username.toLowerCase()}`, user.userId);
+      await kv.del(`user:username:${user.username.toLowerCase()}`);
+    }
+    user.username = username;
+    await saveUser(user);
+
+    // The access token carries the username, so reissue the cookie
+    const session = await kv.get(`auth-session:${req.sessionId}`);
+    if (session) issueAccessToken(res, user, session);
+    res.json({ status: 'ok', message: 'Username changed', data: { username } });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to change username');
+  }
+});
+
+// Delete the user and everything stored for them. An organization left without an
+// admin (only possible for retention deletes) gets its longest-standing member as admin.
+async function deleteUserAccount(user) {
+  const current = await getUserOrg(user);
+  if (current) {
+    const { org } = current;
+    org.members = org.members.filter(m => m.userId !== user.userId);
+    if (org.members.length === 0) {
+      await kv.del(`org:invite:${org.inviteCode}`);
+      await kv.del(`org:${org.orgId}`);
+    } else {
+      if (!org.members.some(m => m.role === 'admin')) {
+        org.members[0].role = 'admin';
+      }
+      await saveOrg(org);
+    }
+  }
+
+  // Unlink from the supervisor, or unlink this supervisor's interns
+  if (user.supervisorId) {
+    const supervisor = await kv.get(`user:${user.supervisorId}`);
+    if (supervisor) {
+      supervisor.internIds = (supervisor.internIds || []).filter(id => id !== user.userId);
+      await saveUser(supervisor);
+    }
+  }
+  for (const internId of user.internIds || []) {
+    const intern = await kv.get(`user:${internId}`);
+    if (intern && intern.supervisorId === user.userId) {
+      delete intern.supervisorId;
+      withdrawPendingSubmissions(intern);
+      await saveUser(intern);
+    }
+  }
+  if (user.supervisorCode) {
+    await kv.del(`supervisor:code:${user.supervisorCode}`);
+  }
+
+  const fileIndex = await getFileIndex(user.userId);
+  await deleteStoredFiles(user.userId, fileIndex, fileIndex.files);
+  await kv.del(`files:${user.userId}`);
+
+  await revokeAllAuthSessions(user);
+  await kv.del(`user:email:${user.email}`);
+  await kv.del(`user:username:${user.username.toLowerCase()}`);
+  await kv.del(`user:${user.userId}`);
+}
+
+// Delete the account and everything stored for it, requires the current password and,
+// with 2FA on, a code (protected)
+app.delete('/api/account', authenticateToken, async (req, res) => {
+  try {
+    const user = await verifyCurrentPassword(req, res);
+    if (!user) return;
+
+    const current = await getUserOrg(user);
+    if (current) {
+      const { org } = current;
+      const otherAdmins = org.members.filter(m => m.role === 'admin' && m.userId !== user.userId);
+      if (current.membership.role === 'admin' && otherAdmins.length === 0 && org.members.length > 1) {
+        return res.status(400).json({ status: 'error', message: 'Make someone else admin of your organization first' });
+      }
+    }
+
+    if (!await verifyTwoFactorCode(req, res, user)) return;
+
+    await deleteUserAccount(user);
+
+    clearAuthCookies(res);
+    res.json({ status: 'ok', message: 'Account deleted' });
+  } catch (error) {
+    return handleRouteError(res, error, 'Failed to delete account');
+  }
+});
+
+// Daily retention run, called by Vercel Cron with `Authorization: Bearer ${CRON_SECRET}`
+app.get('/api/cron/retention', async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET || req.get('authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+    }
+
+    res.json({ status: 'ok', data: await runRetention() });
+  } catch (error) {
+    return handleRouteError(res, error, 'Retention run failed');
   }
 });
 
@@ -340,12 +2978,11 @@ app.delete('/api/data', authenticateToken, async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'User not found' });
     }
     
-    // Clear sessions but keep user account
-    user.sessions = [];
-    user.totalHours = 0;
-    user.updatedAt = new Date().toISOString();
-    
-    await kv.set(`user:${req.userId}`, user, { ex: 60 * 60 * 24 * 365 });
+    // Clear sessions but keep user account (and sessions under review or approved)
+    user.sessions = (user.sessions || []).filter(isLocked);
+    recalculateTotals(user);
+
+    await saveUser(user);
     
     res.json({ status: 'ok', message: 'Data deleted successfully' });
   } catch (error) {
@@ -358,8 +2995,20 @@ if (!process.env.VERCEL) {
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Storage:', kv.name, '· Files:', getBlobStore() ? blobs.name : 'not configured', '· Mail:', mailer.transport,
+      REQUIRE_EMAIL_VERIFICATION ? '(verification required)' : '(verification optional)');
+    console.log('Retention:', RETENTION_INACTIVE_DAYS ? `${RETENTION_INACTIVE_DAYS} days inactive` : 'off');
     console.log('JWT_SECRET:', JWT_SECRET === 'your-secret-key-change-in-production-12345' ? 'DEFAULT (change in production)' : 'Set from environment');
   });
+
+  // Vercel runs the retention job through its cron; a long-running server does it itself
+  if (RETENTION_INACTIVE_DAYS) {
+    const retain = () => runRetention()
+      .then(result => console.log('🧹 Retention run:', result))
+      .catch(error => console.error('Retention run failed:', error));
+    retain();
+    setInterval(retain, DAY_MS);
+  }
 }
 
 export default app;
@@ -1,39 +1,64 @@
 // Hours Tracker - Client-side Logic
 
-const TARGET_HOURS = 640;
+const DEFAULT_TARGET_HOURS = 640;
 const STORAGE_KEY = 'hoursTrackerData';
+const SETTINGS_STORAGE_KEY = 'hoursTrackerSettings';
 const FILES_STORAGE_KEY = 'bestandenBIMFiles';
 const FOLDERS_STORAGE_KEY = 'bestandenBIMFolders';
+const REVISION_STORAGE_KEY = 'hoursTrackerRevision';
+const DIRTY_STORAGE_KEY = 'hoursTrackerDirty';
+const USER_STORAGE_KEY = 'hoursTrackerUser'; // Last signed-in user, for opening the app offline
+const TIMER_STORAGE_KEY = 'hoursTrackerTimer'; // Running clock-in timer, kept across reloads
+const LEGACY_MIGRATED_KEY = 'hoursTrackerLegacyMigrated'; // Set once data from before per-user storage has been claimed
+
+// Everything cached for the signed-in user; each key is stored per user (see userKey)
+const USER_SCOPED_KEYS = [
+    STORAGE_KEY,
+    SETTINGS_STORAGE_KEY,
+    FILES_STORAGE_KEY,
+    FOLDERS_STORAGE_KEY,
+    REVISION_STORAGE_KEY,
+    DIRTY_STORAGE_KEY,
+    TIMER_STORAGE_KEY
+];
 
 // IndexedDB constants
-const DB_NAME = 'HourTrackerDB';
-const DB_VERSION = 1;
+const DB_NAME = 'HourTrackerDB'; // One database per user: HourTrackerDB:<userId>
+const DB_VERSION = 3;
 const FILES_STORE = 'files';
+const OUTBOX_STORE = 'outbox'; // Pending session changes waiting to be sent to the server
+const SEARCH_STORE = 'search'; // Text extracted from files for the search box
 
 let db = null; // IndexedDB database
 let currentUser = null; // Current logged-in user
 
 // Data state
 let sessions = [];
+let serverRevision = 0; // Revision of the server data the local copy is based on
+let pendingConflict = null; // Merge waiting for the user in the conflict modal
+let settings = { targetHours: DEFAULT_TARGET_HOURS, startDate: null, endDate: null };
+let currentPage = 'hours';
+let reportCharts = {}; // Chart.js instances on the reports page, destroyed before redrawing
+let isFlushingOutbox = false;
+let timerInterval = null; // Ticks the timer display once a second while clocked in
 let currentDate = new Date();
+let calendarView = 'month'; // 'month', 'week' or 'agenda'
 let selectedDate = null;
 let editingSessionId = null;
 let uploadedFiles = [];
 let folders = [];
 let currentFolder = null;
 let selectedFiles = new Set();
+let formFileIds = { sessionForm: [], editForm: [] }; // Files linked in the add and edit session forms
+let versionHistoryFileId = null; // File shown in the version history modal
+let maxUploadBytes = null; // Server's upload limit, known after the first file sync
+let isSyncingFiles = false;
 
-// Get auth token from localStorage
-function getAuthToken() {
-    return localStorage.getItem('token');
-}
-
-// Get authorization headers with token
+// Headers for JSON API requests. The auth tokens travel in httpOnly cookies,
+// which the browser sends by itself.
 function getAuthHeaders() {
-    const token = getAuthToken();
     return {
-        'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` })
+        'Content-Type': 'application/json'
     };
 }
 
@@ -45,6 +70,7 @@ async function checkAuth() {
         
         if (!result.authenticated) {
             // Not authenticated, redirect to auth page
+            localStorage.removeItem(USER_STORAGE_KEY);
             window.location.href = '/auth.html';
             return false;
         }
@@ -53,21 +79,67 @@ async function checkAuth() {
             userId: result.userId,
             username: result.username
         };
+        localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(currentUser));
         
         console.log('✓ User authenticated:', result.username);
         return true;
     } catch (error) {
+        // Offline: keep working as the last signed-in user
+        const cachedUser = localStorage.getItem(USER_STORAGE_KEY);
+        if (cachedUser) {
+            try {
+                currentUser = JSON.parse(cachedUser);
+                console.log('✓ Offline, using cached user:', currentUser.username);
+                return true;
+            } catch (e) {
+                console.error('Failed to read cached user:', e);
+            }
+        }
+        
         console.error('Auth check failed:', error);
         window.location.href = '/auth.html';
         return false;
     }
 }
 
+// localStorage key for the signed-in user's copy of `key`, so users sharing
+// a browser never see each other's cached sessions, settings or files
+function userKey(key) {
+    return `${key}:${currentUser.userId}`;
+}
+
+function getUserDbName() {
+    return `${DB_NAME}:${currentUser.userId}`;
+}
+
+// Register the service worker so the app shell works offline and can be installed
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('/sw.js')
+        .then(registration => console.log('✓ Service worker registered:', registration.scope))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
 // Initialize IndexedDB
 async function initIndexedDB() {
     return new Promise((resolve, reject) => {
         console.log('Initializing IndexedDB...');
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        const request = openDatabase(getUserDbName(), (database) => {
+            console.log('IndexedDB upgrade needed, creating object stores...');
+            if (!database.objectStoreNames.contains(FILES_STORE)) {
+                database.createObjectStore(FILES_STORE, { keyPath: 'id' });
+                console.log('✓ Created object store:', FILES_STORE);
+            }
+            if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+                database.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+                console.log('✓ Created object store:', OUTBOX_STORE);
+            }
+            if (!database.objectStoreNames.contains(SEARCH_STORE)) {
+                database.createObjectStore(SEARCH_STORE, { keyPath: 'id' });
+                console.log('✓ Created object store:', SEARCH_STORE);
+            }
+        });
         
         request.onerror = () => {
             console.error('IndexedDB error:', request.error);
@@ -76,49 +148,145 @@ async function initIndexedDB() {
         
         request.onsuccess = () => {
             db = request.result;
-            console.log('✓ IndexedDB initialized successfully:', DB_NAME);
+            // Let go when another tab signs out and deletes this database
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
+            console.log('✓ IndexedDB initialized successfully:', getUserDbName());
             resolve(db);
         };
-        
-        request.onupgradeneeded = (event) => {
-            console.log('IndexedDB upgrade needed, creating object stores...');
-            const database = event.target.result;
-            if (!database.objectStoreNames.contains(FILES_STORE)) {
-                database.createObjectStore(FILES_STORE, { keyPath: 'id' });
-                console.log('✓ Created object store:', FILES_STORE);
+    });
+}
+
+function openDatabase(name, onUpgrade) {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = (event) => onUpgrade(event.target.result, event.oldVersion);
+    request.onblocked = () => {
+        console.warn('IndexedDB open blocked - other tabs may have database open');
+    };
+    return request;
+}
+
+// Before storage was per user, everything lived under unscoped keys and one shared
+// database. The first user to sign in afterwards takes it over; nobody else ever sees it.
+async function migrateUnscopedData() {
+    if (localStorage.getItem(LEGACY_MIGRATED_KEY)) return;
+    
+    for (const key of USER_SCOPED_KEYS) {
+        const value = localStorage.getItem(key);
+        if (value !== null && localStorage.getItem(userKey(key)) === null) {
+            localStorage.setItem(userKey(key), value);
+        }
+        localStorage.removeItem(key);
+    }
+    
+    try {
+        await migrateLegacyDatabase();
+    } catch (error) {
+        // Leave the flag unset so the next start tries again
+        console.error('Failed to migrate legacy IndexedDB data:', error);
+        return;
+    }
+    
+    localStorage.setItem(LEGACY_MIGRATED_KEY, currentUser.userId);
+    console.log('✓ Unscoped local data migrated to', currentUser.username);
+}
+
+// Copy cached file contents and queued session changes from the shared database
+async function migrateLegacyDatabase() {
+    const legacyDb = await new Promise((resolve, reject) => {
+        let existed = true;
+        const request = openDatabase(DB_NAME, (database, oldVersion) => {
+            // Nothing to migrate; let the request fail instead of creating an empty database
+            existed = oldVersion > 0;
+            if (!existed) request.transaction.abort();
+        });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => {
+            if (existed) {
+                reject(request.error);
+            } else {
+                event.preventDefault();
+                resolve(null);
             }
         };
-        
-        request.onblocked = () => {
-            console.warn('IndexedDB open blocked - other tabs may have database open');
-        };
+    });
+    if (!legacyDb) return;
+    
+    const readAll = (storeName) => new Promise((resolve, reject) => {
+        if (!legacyDb.objectStoreNames.contains(storeName)) return resolve([]);
+        const request = legacyDb.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const files = await readAll(FILES_STORE);
+    const operations = await readAll(OUTBOX_STORE);
+    legacyDb.close();
+    
+    if (files.length > 0 || operations.length > 0) {
+        await initIndexedDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction([FILES_STORE, OUTBOX_STORE], 'readwrite');
+            files.forEach(file => tx.objectStore(FILES_STORE).put(file));
+            operations.forEach(op => tx.objectStore(OUTBOX_STORE).put(op));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        console.log(`✓ Migrated ${files.length} cached file(s) and ${operations.length} queued change(s)`);
+    }
+    
+    await deleteDatabase(DB_NAME);
+}
+
+function deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Deleting IndexedDB is waiting for other tabs to close:', name);
     });
 }
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
+    // Older versions kept the access token in localStorage; never leave it readable there
+    localStorage.removeItem('token');
+    
     // Check authentication first
     const isAuthenticated = await checkAuth();
     if (!isAuthenticated) return;
     
+    registerServiceWorker();
+    await migrateUnscopedData();
+    
     // Initialize IndexedDB
     try {
-        await initIndexedDB();
+        if (!db) await initIndexedDB();
         console.log('✓ App initialization: IndexedDB ready');
     } catch (error) {
         console.error('✗ Failed to initialize IndexedDB:', error);
         alert('⚠️ Warning: File storage initialization failed. File uploads may not work. Please refresh the page.\n\nError: ' + error.message);
     }
     
-    loadData();
+    await loadData();
     await loadFiles();
+    await loadSearchIndex();
     setupEventListeners();
+    setupSearch();
     setupLogout();
     renderCalendar();
     updateProgress();
     updateDateTime();
+    renderTimer();
     fetchWeather();
     
+    // Send changes made while offline, and again whenever the connection returns
+    updateSyncStatus();
+    flushOutbox();
+    window.addEventListener('online', flushOutbox);
+    window.addEventListener('online', syncFiles);
+    
     // Initialize pages - show hours page by default
     showPage('hours');
     
@@ -127,6 +295,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
     }
     
+    // Read documents cached in this browser into the search index, in the background
+    indexCachedFiles();
+    
     // Close preview modal on background click
     document.getElementById('previewModal').addEventListener('click', (e) => {
         if (e.target.id === 'previewModal') {
@@ -138,6 +309,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     setInterval(updateDateTime, 60000);
     // Update weather every 30 minutes
     setInterval(fetchWeather, 30 * 60 * 1000);
+    // Retry unsynced changes every minute
+    setInterval(flushOutbox, 60000);
+    // Keep the timer in step when it is started or stopped in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === userKey(TIMER_STORAGE_KEY)) renderTimer();
+    });
 });
 
 // Setup logout button and display username
@@ -153,11 +330,28 @@ function setupLogout() {
     if (logoutBtn) {
         logoutBtn.addEventListener('click', handleLogout);
     }
+    
+    // Setup settings button
+    const settingsBtn = document.getElementById('settingsBtn');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', openSettingsModal);
+    }
 }
 
 // Handle logout
 async function handleLogout() {
-    if (!confirm('Are you sure you want to log out?')) return;
+    const unsynced = await countOutboxOperations();
+    let message = unsynced > 0
+        ? `You have ${unsynced} unsynced change(s) that will be lost. Log out anyway?`
+        : 'Are you sure you want to log out?';
+    const unsyncedFiles = uploadedFiles.filter(f => !f.synced).length;
+    if (unsyncedFiles > 0) {
+        message = `${unsyncedFiles} file(s) exist only in this browser and will be removed. ` + message;
+    }
+    if (getTimerState()) {
+        message = 'Your running timer will be discarded. ' + message;
+    }
+    if (!confirm(message)) return;
     
     try {
         await fetch('/api/auth/logout', {
@@ -168,20 +362,36 @@ async function handleLogout() {
         console.error('Logout error:', error);
     }
     
-    // Clear local data
-    localStorage.removeItem('token');
-    localStorage.removeItem(STORAGE_KEY);
+    await clearLocalData();
     
     // Redirect to auth page
     window.location.href = '/auth.html';
 }
 
+// Remove everything stored in the browser for the signed-in user, so the
+// next person to use this browser can't read their cached sessions or files
+async function clearLocalData() {
+    localStorage.removeItem(USER_STORAGE_KEY);
+    USER_SCOPED_KEYS.forEach(key => localStorage.removeItem(userKey(key)));
+    
+    if (db) {
+        db.close();
+        db = null;
+    }
+    await deleteDatabase(getUserDbName()).catch(e => console.error('Failed to delete local database:', e));
+}
+
 // Load data from server (with localStorage fallback)
 async function loadData() {
+    const cachedSessions = getCachedSessions();
+    const baseRevision = parseInt(localStorage.getItem(userKey(REVISION_STORAGE_KEY))) || 0;
+    loadCachedSettings();
+    
     try {
         // Try to load from server first
         const response = await fetch('/api/data', {
-            headers: getAuthHeaders()
+            headers: getAuthHeaders(),
+            cache: 'no-store'
         });
         
         if (!response.ok) {
@@ -190,50 +400,205 @@ async function loadData() {
         
         const result = await response.json();
         
+        if (result.data && result.data.settings) {
+            applySettings(result.data.settings);
+        }
+        
         if (result.data && result.data.sessions) {
+            setServerRevision(result.data.revision || 0);
+            
+            // Queued changes are not on the server yet: keep showing the local copy
+            // until flushOutbox() has sent them
+            if (await countOutboxOperations() > 0 && cachedSessions) {
+                sessions = cachedSessions;
+                console.log('✓ Data loaded from localStorage cache (unsynced changes pending)');
+                return;
+            }
+            
+            // Changes made on this device while offline or in a rejected write
+            if (localStorage.getItem(userKey(DIRTY_STORAGE_KEY)) === 'true' && cachedSessions) {
+                const { merged, conflicts } = mergeSessions(cachedSessions, result.data.sessions, baseRevision);
+                sessions = cachedSessions;
+                
+                if (conflicts.length > 0) {
+                    openConflictModal(merged, conflicts);
+                } else {
+                    sessions = merged;
+                    await saveData();
+                }
+                return;
+            }
+            
             sessions = result.data.sessions;
             // Also save to localStorage as cache
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+            localStorage.setItem(userKey(STORAGE_KEY), JSON.stringify(sessions));
             console.log('✓ Data loaded from server');
         }
     } catch (error) {
         console.warn('Server load failed, trying localStorage fallback:', error);
         // Fallback to localStorage
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (stored) {
-            try {
-                sessions = JSON.parse(stored);
-                console.log('✓ Data loaded from localStorage cache');
-            } catch (e) {
-                console.error('Failed to load data:', e);
-                sessions = [];
-            }
+        serverRevision = baseRevision;
+        if (cachedSessions) {
+            sessions = cachedSessions;
+            console.log('✓ Data loaded from localStorage cache');
+        }
+    }
+}
+
+function getCachedSessions() {
+    const stored = localStorage.getItem(userKey(STORAGE_KEY));
+    if (!stored) return null;
+    
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        console.error('Failed to load data:', e);
+        return null;
+    }
+}
+
+// Settings (hour target and internship/contract period)
+function loadCachedSettings() {
+    const stored = localStorage.getItem(userKey(SETTINGS_STORAGE_KEY));
+    if (!stored) return;
+    
+    try {
+        settings = { ...settings, ...JSON.parse(stored) };
+    } catch (e) {
+        console.error('Failed to load settings:', e);
+    }
+}
+
+function applySettings(newSettings) {
+    settings = {
+        targetHours: newSettings.targetHours || DEFAULT_TARGET_HOURS,
+        startDate: newSettings.startDate || null,
+        endDate: newSettings.endDate || null
+    };
+    localStorage.setItem(userKey(SETTINGS_STORAGE_KEY), JSON.stringify(settings));
+}
+
+function openSettingsModal() {
+    document.getElementById('settingsTargetHours').value = settings.targetHours;
+    document.getElementById('settingsStartDate').value = settings.startDate || '';
+    document.getElementById('settingsEndDate').value = settings.endDate || '';
+    document.getElementById('settingsModal').style.display = 'flex';
+}
+
+function closeSettingsModal() {
+    document.getElementById('settingsModal').style.display = 'none';
+}
+
+async function saveSettings(event) {
+    event.preventDefault();
+    
+    const newSettings = {
+        targetHours: parseFloat(document.getElementById('settingsTargetHours').value),
+        startDate: document.getElementById('settingsStartDate').value || null,
+        endDate: document.getElementById('settingsEndDate').value || null
+    };
+    
+    if (!(newSettings.targetHours > 0)) {
+        alert('Please enter a target of at least 1 hour');
+        return;
+    }
+    
+    if (newSettings.startDate && newSettings.endDate && newSettings.endDate < newSettings.startDate) {
+        alert('End date must be on or after the start date');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/settings', {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(newSettings)
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            alert('Could not save settings: ' + (result.message || response.statusText));
+            return;
         }
+        
+        applySettings(result.data.settings);
+        // Same rule as session writes: only move forward if nothing else was written in between
+        if (result.data.revision === serverRevision + 1) {
+            setServerRevision(result.data.revision);
+        }
+        console.log('✓ Settings saved to server');
+    } catch (error) {
+        console.warn('Could not save settings to server (offline?):', error);
+        applySettings(newSettings);
+        alert('Settings saved on this device only. Save them again when you are back online.');
     }
+    
+    closeSettingsModal();
+    updateProgress();
+}
+
+function setServerRevision(revision) {
+    serverRevision = revision;
+    localStorage.setItem(userKey(REVISION_STORAGE_KEY), String(revision));
+}
+
+// Remember that the local copy has changes the server has not accepted yet
+function markLocalChanges() {
+    localStorage.setItem(userKey(DIRTY_STORAGE_KEY), 'true');
+    updateSyncStatus();
+}
+
+function clearLocalChanges() {
+    localStorage.removeItem(userKey(DIRTY_STORAGE_KEY));
+    updateSyncStatus();
 }
 
-// Save data to server (and localStorage as backup)
+// Save the whole sessions array to server (and localStorage as backup)
+// Used for bulk changes such as imports; single edits go through sendSessionRequest()
 async function saveData() {
     // Save to localStorage immediately (backup)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+    localStorage.setItem(userKey(STORAGE_KEY), JSON.stringify(sessions));
     
-    // Save to server
+    // Save to server, based on the revision we last saw
     try {
         const response = await fetch('/api/data', {
             method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify({
-                sessions: sessions,
-                totalHours: sessions.reduce((sum, s) => sum + (s.netHours || 0), 0)
-            })
+            headers: {
+                ...getAuthHeaders(),
+                'If-Match': `"${serverRevision}"`
+            },
+            body: JSON.stringify({ sessions: sessions })
         });
+        const result = await response.json().catch(() => ({}));
         
-        if (!response.ok) {
-            console.warn('Failed to save to server:', response.statusText);
+        if (response.status === 409) {
+            // Someone else saved in the meantime: let the user merge
+            markLocalChanges();
+            const { merged, conflicts } = mergeSessions(sessions, result.data.sessions, serverRevision);
+            setServerRevision(result.data.revision);
+            if (conflicts.length > 0) {
+                openConflictModal(merged, conflicts);
+            } else {
+                sessions = merged;
+                await saveData();
+                return;
+            }
+        } else if (!response.ok) {
+            console.warn('Failed to save to server:', result.message || response.statusText);
+            markLocalChanges();
+            if (response.status === 400) {
+                alert('Server rejected the data: ' + result.message);
+            }
         } else {
+            // The server validates and recomputes netMinutes, keep its copy
+            sessions = result.data.sessions;
+            setServerRevision(result.data.revision);
+            clearLocalChanges();
+            localStorage.setItem(userKey(STORAGE_KEY), JSON.stringify(sessions));
             console.log('✓ Data saved to server');
         }
     } catch (error) {
+        markLocalChanges();
         console.warn('Could not save to server (offline?):', error);
     }
     
@@ -241,82 +606,472 @@ async function saveData() {
     renderCalendar();
 }
 
-// Event listeners
-function setupEventListeners() {
-    document.getElementById('prevMonth').addEventListener('click', () => {
-        currentDate.setMonth(currentDate.getMonth() - 1);
-        renderCalendar();
-    });
+// Cache sessions locally and refresh the views after a single-session change
+function cacheSessions() {
+    localStorage.setItem(userKey(STORAGE_KEY), JSON.stringify(sessions));
+    updateProgress();
+    renderCalendar();
+}
 
-    document.getElementById('nextMonth').addEventListener('click', () => {
-        currentDate.setMonth(currentDate.getMonth() + 1);
-        renderCalendar();
+// Send a single session create/update/delete to the server.
+// `revision` is the session revision the change is based on (sent as If-Match).
+async function sendSessionRequest(method, sessionId, body, revision) {
+    const url = sessionId ? `/api/sessions/${encodeURIComponent(sessionId)}` : '/api/sessions';
+    const response = await fetch(url, {
+        method,
+        headers: {
+            ...getAuthHeaders(),
+            ...(revision !== undefined && { 'If-Match': `"${revision}"` })
+        },
+        ...(body && { body: JSON.stringify(body) })
     });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const error = new Error(result.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    const data = result.data || {};
+    // Only move forward if nothing else was written in between,
+    // otherwise the next bulk save has to go through conflict resolution
+    if (data.revision === serverRevision + 1) {
+        setServerRevision(data.revision);
+    }
+    return data;
+}
 
-    // Live preview for form inputs
-    ['sessionForm', 'editForm'].forEach(formId => {
-        const form = document.getElementById(formId);
-        if (form) {
-            form.addEventListener('input', updateNetHoursPreview);
-        }
-    });
+// Replace the local copy of a session with the server's validated version
+function applyServerSession(serverSession) {
+    const index = sessions.findIndex(s => s.id === serverSession.id);
+    if (index !== -1) {
+        sessions[index] = serverSession;
+        cacheSessions();
+    }
+}
 
-    // Handle background click on modal
-    document.getElementById('dayPanel').addEventListener('click', (e) => {
-        if (e.target.id === 'dayPanel') closeDayPanel();
-    });
-    document.getElementById('editModal').addEventListener('click', (e) => {
-        if (e.target.id === 'editModal') closeEditModal();
-    });
+// Outbox: session changes are queued in IndexedDB and replayed in order,
+// so edits made offline reach the server once the connection returns
+function outboxTransaction(mode, action) {
+    return storeTransaction(OUTBOX_STORE, mode, action);
 }
 
-// Render Calendar
-function renderCalendar() {
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth();
-    
-    document.getElementById('monthYear').textContent = new Date(year, month).toLocaleDateString('en-US', {
-        month: 'long',
-        year: 'numeric'
+// Run `action` on one object store; resolves with its request's result once committed
+function storeTransaction(storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('IndexedDB not initialized'));
+            return;
+        }
+        
+        try {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        } catch (error) {
+            reject(error);
+        }
     });
+}
 
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const prevLastDay = new Date(year, month, 0);
-    
-    const firstDayWeek = firstDay.getDay() === 0 ? 6 : firstDay.getDay() - 1;
-    const daysInMonth = lastDay.getDate();
-    const daysInPrevMonth = prevLastDay.getDate();
-
-    const daysContainer = document.getElementById('calendarDays');
-    daysContainer.innerHTML = '';
+function getOutboxOperations() {
+    return outboxTransaction('readonly', store => store.getAll());
+}
 
-    // Previous month days
-    for (let i = firstDayWeek - 1; i >= 0; i--) {
-        const day = daysInPrevMonth - i;
-        const dayEl = createDayElement(day, month - 1 === -1, null);
-        dayEl.classList.add('other-month');
-        daysContainer.appendChild(dayEl);
+async function countOutboxOperations() {
+    if (!db) return 0;
+    try {
+        return await outboxTransaction('readonly', store => store.count());
+    } catch (error) {
+        console.error('Failed to count outbox:', error);
+        return 0;
     }
+}
 
-    // Current month days
-    for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(year, month, day);
-        const dateStr = formatDate(date);
-        const dayHours = getDateHours(dateStr);
-        
-        const dayEl = createDayElement(day, true, dayHours, dateStr);
+function clearOutbox() {
+    if (!db) return Promise.resolve();
+    return outboxTransaction('readwrite', store => store.clear());
+}
+
+// Queue a create/update/delete, folding it into an earlier pending change
+// for the same session so only the final state is sent
+async function queueSessionChange(type, session) {
+    const operations = await getOutboxOperations();
+    const pending = operations.find(op => op.sessionId === session.id);
+    
+    await outboxTransaction('readwrite', store => {
+        if (!pending) {
+            return store.add({
+                type,
+                sessionId: session.id,
+                session: type === 'delete' ? null : session,
+                revision: session.revision,
+                queuedAt: new Date().toISOString()
+            });
+        }
         
-        const today = new Date();
-        if (date.toDateString() === today.toDateString()) {
-            dayEl.classList.add('today');
+        if (type === 'delete' && pending.type === 'create') {
+            // Never reached the server, nothing to send
+            return store.delete(pending.seq);
         }
         
-        dayEl.addEventListener('click', () => openDayPanel(dateStr, dayEl));
-        daysContainer.appendChild(dayEl);
+        return store.put({
+            ...pending,
+            type: pending.type === 'create' ? 'create' : type,
+            session: type === 'delete' ? null : session,
+            queuedAt: new Date().toISOString()
+        });
+    });
+}
+
+// Record a session change locally and try to send it right away
+async function syncSessionChange(type, session) {
+    if (!db) {
+        // No outbox available: fall back to a full save with conflict detection
+        markLocalChanges();
+        await saveData();
+        return;
+    }
+    
+    try {
+        await queueSessionChange(type, session);
+    } catch (error) {
+        console.error('Failed to queue change:', error);
+        markLocalChanges();
     }
+    updateSyncStatus();
+    await flushOutbox();
+}
 
-    // Next month days
+function sendOutboxOperation(op) {
+    switch (op.type) {
+        case 'create':
+            return sendSessionRequest('POST', null, op.session);
+        case 'update':
+            return sendSessionRequest('PUT', op.sessionId, op.session, op.revision);
+        case 'delete':
+            return sendSessionRequest('DELETE', op.sessionId, null, op.revision);
+        default:
+            return Promise.resolve({});
+    }
+}
+
+// Replay queued changes in order; stops at the first network failure and retries later
+async function flushOutbox() {
+    if (!db || isFlushingOutbox || !navigator.onLine) return;
+    isFlushingOutbox = true;
+    
+    let sent = 0;
+    let dropped = 0;
+    try {
+        const operations = await getOutboxOperations();
+        
+        for (const op of operations) {
+            try {
+                const data = await sendOutboxOperation(op);
+                if (data.session) applyServerSession(data.session);
+                sent++;
+            } catch (error) {
+                if (!error.status) {
+                    console.warn('Could not sync to server (offline?):', error);
+                    break;
+                }
+                
+                if (error.status === 409) {
+                    // Changed elsewhere: the local cache already holds all queued
+                    // changes, so hand over to the full merge
+                    console.warn('Sync conflict, switching to merge:', error.message);
+                    await clearOutbox();
+                    markLocalChanges();
+                    await loadData();
+                    updateProgress();
+                    renderCalendar();
+                    return;
+                }
+                
+                if (error.status === 401 || error.status === 403) {
+                    console.warn('Not signed in, keeping changes queued');
+                    break;
+                }
+                
+                // Rejected for good (invalid data, locked or already deleted): drop it,
+                // but say which session so its time can be entered again
+                if (op.type === 'create' || op.type === 'update') {
+                    alert('Could not save session:\n\n' + describeOverlaps([op.session]) +
+                        '\n\n' + error.message + '\n\nThis change was not saved. Enter it again after fixing the problem.');
+                } else if (error.status !== 404) {
+                    alert('Could not save session: ' + error.message);
+                }
+                dropped++;
+            }
+            await outboxTransaction('readwrite', store => store.delete(op.seq));
+        }
+        
+        if ((sent > 0 || dropped > 0) && await countOutboxOperations() === 0) {
+            console.log('✓ Unsynced changes sent to server');
+            // Pick up anything that changed elsewhere in the meantime
+            await loadData();
+            updateProgress();
+            renderCalendar();
+        }
+    } catch (error) {
+        console.error('Outbox flush failed:', error);
+    } finally {
+        isFlushingOutbox = false;
+        updateSyncStatus();
+    }
+}
+
+async function updateSyncStatus() {
+    const el = document.getElementById('syncStatus');
+    if (!el) return;
+    
+    const count = await countOutboxOperations();
+    const dirty = localStorage.getItem(userKey(DIRTY_STORAGE_KEY)) === 'true';
+    
+    if (count > 0) {
+        el.textContent = `${count} unsynced change${count === 1 ? '' : 's'}`;
+    } else if (dirty) {
+        el.textContent = 'Unsynced changes';
+    } else {
+        el.textContent = 'All changes synced';
+    }
+    el.classList.toggle('unsynced', count > 0 || dirty);
+}
+
+// Sync Conflict Resolution
+const SESSION_FIELDS = ['date', 'startTime', 'endTime', 'breakMinutes', 'note', 'category'];
+
+function sessionsMatch(a, b) {
+    return SESSION_FIELDS.every(field => (a[field] || '') === (b[field] || '')) &&
+        (a.fileIds || []).join(',') === (b.fileIds || []).join(',');
+}
+
+// Merge the local copy with the server copy. Anything the server changed after
+// `baseRevision` and that also differs locally is a conflict for the user to decide.
+function mergeSessions(localSessions, serverSessions, baseRevision) {
+    const localById = new Map(localSessions.map(s => [s.id, s]));
+    const serverById = new Map(serverSessions.map(s => [s.id, s]));
+    const ids = new Set([...localById.keys(), ...serverById.keys()]);
+    const merged = [];
+    const conflicts = [];
+    
+    ids.forEach(id => {
+        const local = localById.get(id);
+        const server = serverById.get(id);
+        const changedOnServer = server && (server.revision || 0) > baseRevision;
+        
+        if (local && server) {
+            if (sessionsMatch(local, server)) {
+                merged.push(server);
+            } else if (!changedOnServer) {
+                merged.push(local);
+            } else {
+                conflicts.push({ id, local, server });
+            }
+        } else if (server) {
+            // Missing locally: either created elsewhere or deleted here
+            if (changedOnServer) merged.push(server);
+        } else if (local.revision === undefined) {
+            // Created on this device and never synced
+            merged.push(local);
+        } else {
+            // Deleted elsewhere but still present here
+            conflicts.push({ id, local, server: null });
+        }
+    });
+    
+    return { merged, conflicts };
+}
+
+function describeSession(session) {
+    if (!session) {
+        return '<span class="conflict-missing">Deleted</span>';
+    }
+    const hours = (session.netMinutes / 60).toFixed(1);
+    return `
+        <div class="session-time">${formatSessionRange(session)} · ${hours}h</div>
+        <div class="session-note">${session.breakMinutes} min break · ${escapeHtml(session.category || 'Other')}</div>
+        ${session.note ? `<div class="session-note">${escapeHtml(session.note)}</div>` : ''}
+    `;
+}
+
+function openConflictModal(merged, conflicts) {
+    pendingConflict = { merged, conflicts };
+    
+    const list = document.getElementById('conflictList');
+    list.innerHTML = conflicts.map((conflict, index) => {
+        const date = (conflict.local || conflict.server).date;
+        const label = new Date(date + 'T00:00:00').toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        return `
+            <div class="conflict-item">
+                <div class="conflict-date">${label}</div>
+                <div class="conflict-options">
+                    <label class="conflict-option">
+                        <input type="radio" name="conflict-${index}" value="local" checked>
+                        <span class="conflict-side">This device</span>
+                        ${describeSession(conflict.local)}
+                    </label>
+                    <label class="conflict-option">
+                        <input type="radio" name="conflict-${index}" value="server">
+                        <span class="conflict-side">Server</span>
+                        ${describeSession(conflict.server)}
+                    </label>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('conflictModal').style.display = 'flex';
+}
+
+function closeConflictModal() {
+    // Local changes stay marked, so the conflict is offered again on next load
+    document.getElementById('conflictModal').style.display = 'none';
+    pendingConflict = null;
+}
+
+async function resolveConflicts() {
+    if (!pendingConflict) return;
+    
+    const { merged, conflicts } = pendingConflict;
+    const resolved = [...merged];
+    conflicts.forEach((conflict, index) => {
+        const choice = document.querySelector(`input[name="conflict-${index}"]:checked`);
+        const picked = choice && choice.value === 'server' ? conflict.server : conflict.local;
+        if (picked) resolved.push(picked);
+    });
+    
+    closeConflictModal();
+    sessions = resolved;
+    await saveData();
+}
+
+// Event listeners
+function setupEventListeners() {
+    document.getElementById('prevMonth').addEventListener('click', () => {
+        if (calendarView === 'week') {
+            currentDate.setDate(currentDate.getDate() - 7);
+        } else {
+            currentDate.setMonth(currentDate.getMonth() - 1);
+        }
+        renderCalendar();
+    });
+
+    document.getElementById('nextMonth').addEventListener('click', () => {
+        if (calendarView === 'week') {
+            currentDate.setDate(currentDate.getDate() + 7);
+        } else {
+            currentDate.setMonth(currentDate.getMonth() + 1);
+        }
+        renderCalendar();
+    });
+
+    // Calendar view switcher
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.addEventListener('click', () => setCalendarView(btn.dataset.view));
+    });
+
+    // Agenda filters
+    document.getElementById('agendaCategory').addEventListener('change', renderAgendaView);
+    document.getElementById('agendaSearch').addEventListener('input', renderAgendaView);
+
+    // Live preview for form inputs
+    ['sessionForm', 'editForm'].forEach(formId => {
+        const form = document.getElementById(formId);
+        if (form) {
+            form.addEventListener('input', updateNetHoursPreview);
+        }
+    });
+
+    // Handle background click on modal
+    document.getElementById('dayPanel').addEventListener('click', (e) => {
+        if (e.target.id === 'dayPanel') closeDayPanel();
+    });
+    document.getElementById('editModal').addEventListener('click', (e) => {
+        if (e.target.id === 'editModal') closeEditModal();
+    });
+    document.getElementById('settingsModal').addEventListener('click', (e) => {
+        if (e.target.id === 'settingsModal') closeSettingsModal();
+    });
+}
+
+function setCalendarView(view) {
+    calendarView = view;
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    document.getElementById('monthView').style.display = view === 'month' ? 'block' : 'none';
+    document.getElementById('weekView').style.display = view === 'week' ? 'block' : 'none';
+    document.getElementById('agendaView').style.display = view === 'agenda' ? 'block' : 'none';
+    renderCalendar();
+}
+
+// Render the active calendar view
+function renderCalendar() {
+    if (calendarView === 'week') {
+        renderWeekView();
+    } else if (calendarView === 'agenda') {
+        renderAgendaView();
+    } else {
+        renderMonthView();
+    }
+}
+
+// Render Month Calendar
+function renderMonthView() {
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth();
+    
+    document.getElementById('monthYear').textContent = new Date(year, month).toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric'
+    });
+
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const prevLastDay = new Date(year, month, 0);
+    
+    const firstDayWeek = firstDay.getDay() === 0 ? 6 : firstDay.getDay() - 1;
+    const daysInMonth = lastDay.getDate();
+    const daysInPrevMonth = prevLastDay.getDate();
+
+    const daysContainer = document.getElementById('calendarDays');
+    daysContainer.innerHTML = '';
+
+    // Previous month days
+    for (let i = firstDayWeek - 1; i >= 0; i--) {
+        const day = daysInPrevMonth - i;
+        const dayEl = createDayElement(day, month - 1 === -1, null);
+        dayEl.classList.add('other-month');
+        daysContainer.appendChild(dayEl);
+    }
+
+    // Current month days
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const dateStr = formatDate(date);
+        const dayHours = getDateHours(dateStr);
+        
+        const dayEl = createDayElement(day, true, dayHours, dateStr);
+        
+        const today = new Date();
+        if (date.toDateString() === today.toDateString()) {
+            dayEl.classList.add('today');
+        }
+        
+        dayEl.addEventListener('click', () => openDayPanel(dateStr, dayEl));
+        daysContainer.appendChild(dayEl);
+    }
+
+    // Next month days
     const totalCells = daysContainer.children.length;
     const remainingCells = 42 - totalCells;
     for (let day = 1; day <= remainingCells; day++) {
@@ -326,6 +1081,180 @@ function renderCalendar() {
     }
 }
 
+// Week View: sessions as blocks on an hour axis
+const WEEK_HOUR_HEIGHT = 40; // px per hour
+const WEEK_DEFAULT_START_HOUR = 7;
+const WEEK_DEFAULT_END_HOUR = 19;
+
+function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Give overlapping sessions their own lane so they show side by side
+function assignLanes(daySessions) {
+    const sorted = [...daySessions].sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+    const laneEnds = [];
+    const placed = sorted.map(session => {
+        const start = timeToMinutes(session.startTime);
+        let lane = laneEnds.findIndex(end => end <= start);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = timeToMinutes(session.endTime);
+        return { session, lane };
+    });
+    return { placed, laneCount: Math.max(1, laneEnds.length) };
+}
+
+function renderWeekView() {
+    const weekStart = getWeekStart(currentDate);
+    const days = Array.from({ length: 7 }, (_, i) => {
+        const date = new Date(weekStart);
+        date.setDate(weekStart.getDate() + i);
+        return date;
+    });
+    const weekEnd = days[6];
+    
+    document.getElementById('monthYear').textContent =
+        weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) + ' – ' +
+        weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    
+    const dateStrs = days.map(formatDate);
+    const weekSessions = getSessionDayParts().filter(s => dateStrs.includes(s.date));
+    
+    // Widen the default working-hours axis to fit early or late sessions
+    let startHour = WEEK_DEFAULT_START_HOUR;
+    let endHour = WEEK_DEFAULT_END_HOUR;
+    weekSessions.forEach(s => {
+        startHour = Math.min(startHour, Math.floor(timeToMinutes(s.startTime) / 60));
+        endHour = Math.max(endHour, Math.ceil(timeToMinutes(s.endTime) / 60));
+    });
+    const axisHeight = (endHour - startHour) * WEEK_HOUR_HEIGHT;
+    
+    let hoursAxis = '';
+    for (let hour = startHour; hour < endHour; hour++) {
+        hoursAxis += `<div class="week-hour-label" style="height: ${WEEK_HOUR_HEIGHT}px;">${formatTime(hour, 0)}</div>`;
+    }
+    
+    const todayStr = formatDate(new Date());
+    const columns = days.map((date, i) => {
+        const dateStr = dateStrs[i];
+        const { placed, laneCount } = assignLanes(weekSessions.filter(s => s.date === dateStr));
+        
+        const blocks = placed.map(({ session, lane }) => {
+            const top = (timeToMinutes(session.startTime) - startHour * 60) / 60 * WEEK_HOUR_HEIGHT;
+            const height = Math.max(16, (timeToMinutes(session.endTime) - timeToMinutes(session.startTime)) / 60 * WEEK_HOUR_HEIGHT);
+            const width = 100 / laneCount;
+            return `
+                <div class="week-session ${laneCount > 1 ? 'overlap' : ''}" data-id="${session.id}"
+                     style="top: ${top}px; height: ${height}px; left: ${lane * width}%; width: ${width}%;"
+                     title="${session.startTime} − ${session.endTime.replace('24:00', '00:00')} ${escapeHtml(session.category || 'Other')}">
+                    <div class="week-session-time">${session.startTime} − ${session.endTime.replace('24:00', '00:00')}</div>
+                    <div class="week-session-label">${escapeHtml(session.note || session.category || 'Other')}</div>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="week-day ${dateStr === todayStr ? 'today' : ''}">
+                <div class="week-day-header" data-date="${dateStr}">
+                    <span>${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                    <strong>${date.getDate()}</strong>
+                    <span class="week-day-total">${getDateHours(dateStr).toFixed(1)}h</span>
+                </div>
+                <div class="week-day-body" style="height: ${axisHeight}px; background-size: 100% ${WEEK_HOUR_HEIGHT}px;">${blocks}</div>
+            </div>
+        `;
+    }).join('');
+    
+    const container = document.getElementById('weekView');
+    container.innerHTML = `
+        <div class="week-grid">
+            <div class="week-axis">
+                <div class="week-day-header"></div>
+                ${hoursAxis}
+            </div>
+            ${columns}
+        </div>
+    `;
+    
+    container.querySelectorAll('.week-session').forEach(el => {
+        el.addEventListener('click', () => openEditModal(el.dataset.id));
+    });
+    container.querySelectorAll('.week-day-header[data-date]').forEach(el => {
+        el.addEventListener('click', () => openDayPanel(el.dataset.date, null));
+    });
+}
+
+// Agenda View: sessions of the shown month grouped by day, with filters
+function renderAgendaView() {
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth();
+    const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+    
+    document.getElementById('monthYear').textContent = new Date(year, month).toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric'
+    });
+    
+    const category = document.getElementById('agendaCategory').value;
+    const search = document.getElementById('agendaSearch').value.trim().toLowerCase();
+    
+    const filtered = sessions
+        .filter(s => s.date.startsWith(monthPrefix))
+        .filter(s => !category || (s.category || 'Other') === category)
+        .filter(s => !search || (s.note || '').toLowerCase().includes(search) || (s.category || '').toLowerCase().includes(search))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+    
+    const list = document.getElementById('agendaList');
+    if (filtered.length === 0) {
+        list.innerHTML = '<p class="agenda-empty">No sessions match</p>';
+        return;
+    }
+    
+    const byDate = new Map();
+    filtered.forEach(s => {
+        if (!byDate.has(s.date)) byDate.set(s.date, []);
+        byDate.get(s.date).push(s);
+    });
+    
+    list.innerHTML = [...byDate.entries()].map(([dateStr, daySessions]) => {
+        const dayTotal = daySessions.reduce((sum, s) => sum + s.netMinutes / 60, 0);
+        const items = daySessions.map(session => `
+            <div class="session-item" data-id="${session.id}">
+                <div>
+                    <div class="session-time">${formatSessionRange(session)}</div>
+                    ${session.note ? `<div class="session-note">${escapeHtml(session.note)}</div>` : ''}
+                    <div class="session-note">${escapeHtml(session.category || 'Other')}</div>
+                </div>
+                <div class="session-hours">${(session.netMinutes / 60).toFixed(1)}h</div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="agenda-day">
+                <div class="agenda-day-header" data-date="${dateStr}">
+                    <span>${parseDate(dateStr).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}</span>
+                    <span class="agenda-day-total">${dayTotal.toFixed(1)} hrs</span>
+                </div>
+                ${items}
+            </div>
+        `;
+    }).join('');
+    
+    list.querySelectorAll('.session-item').forEach(el => {
+        el.addEventListener('click', () => openEditModal(el.dataset.id));
+    });
+    list.querySelectorAll('.agenda-day-header').forEach(el => {
+        el.addEventListener('click', () => openDayPanel(el.dataset.date, null));
+    });
+}
+
 function createDayElement(day, isCurrentMonth, hours, dateStr) {
     const div = document.createElement('div');
     div.className = 'day';
@@ -344,69 +1273,210 @@ function createDayElement(day, isCurrentMonth, hours, dateStr) {
 }
 
 function getDateHours(dateStr) {
-    return sessions
+    return getSessionDayParts()
         .filter(s => s.date === dateStr)
         .reduce((sum, s) => sum + (s.netMinutes / 60), 0);
 }
 
-// Date formatting
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+function isOvernight(session) {
+    return session.endTime < session.startTime;
 }
 
-function formatTime(hours, minutes) {
-    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+function formatSessionRange(session) {
+    return `${session.startTime} − ${session.endTime}${isOvernight(session) ? ' (+1 day)' : ''}`;
 }
 
-// Calculate net minutes
-function calculateNetMinutes(startStr, endStr, breakMinutes) {
-    if (!startStr || !endStr) return 0;
-    
-    const [startHour, startMin] = startStr.split(':').map(Number);
-    const [endHour, endMin] = endStr.split(':').map(Number);
-    
-    const startTotalMin = startHour * 60 + startMin;
-    const endTotalMin = endHour * 60 + endMin;
-    
-    if (endTotalMin <= startTotalMin) return 0;
+// Split an overnight session at midnight into one part per calendar day.
+// The break is shared out in proportion to the time worked on each day.
+function splitSessionByDay(session) {
+    if (!isOvernight(session)) {
+        return [session];
+    }
     
-    const durationMin = endTotalMin - startTotalMin;
-    const netMin = Math.max(0, durationMin - breakMinutes);
+    const firstDayMinutes = 24 * 60 - timeToMinutes(session.startTime);
+    const totalMinutes = firstDayMinutes + timeToMinutes(session.endTime);
+    const firstBreak = Math.round((session.breakMinutes || 0) * firstDayMinutes / totalMinutes);
+    const firstNet = Math.max(0, firstDayMinutes - firstBreak);
+    const nextDay = parseDate(session.date);
+    nextDay.setDate(nextDay.getDate() + 1);
     
-    return netMin;
+    return [
+        { ...session, endTime: '24:00', breakMinutes: firstBreak, netMinutes: firstNet },
+        {
+            ...session,
+            date: formatDate(nextDay),
+            continuesFrom: session.date,
+            startTime: '00:00',
+            breakMinutes: (session.breakMinutes || 0) - firstBreak,
+            netMinutes: session.netMinutes - firstNet
+        }
+    ];
 }
 
-// Day Panel
-function openDayPanel(dateStr, dayEl) {
-    selectedDate = dateStr;
-    document.getElementById('dayPanelTitle').textContent = new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+function getSessionDayParts() {
+    return sessions.flatMap(splitSessionByDay);
+}
 
-    // Populate sessions list
-    const daySessionsList = document.getElementById('daySessionsList');
-    const daySessions = sessions.filter(s => s.date === dateStr);
-    const dayTotal = daySessions.reduce((sum, s) => sum + (s.netMinutes / 60), 0);
+// Overlap and duplicate detection
+// Start and end of a session in minutes since the epoch (UTC, so DST never shifts it)
+function sessionRange(session) {
+    const [year, month, day] = session.date.split('-').map(Number);
+    const start = Date.UTC(year, month - 1, day) / 60000 + timeToMinutes(session.startTime);
+    let duration = timeToMinutes(session.endTime) - timeToMinutes(session.startTime);
+    if (duration <= 0) duration += 24 * 60;
+    return { start, end: start + duration };
+}
+
+function findOverlaps(candidate, pool = sessions) {
+    const range = sessionRange(candidate);
+    return pool.filter(other => {
+        if (other.id === candidate.id) return false;
+        const otherRange = sessionRange(other);
+        return range.start < otherRange.end && otherRange.start < range.end;
+    });
+}
+
+// Fold overlapping sessions into `base`: the merged session covers all their time,
+// keeps the longest break and collects the distinct notes. Returns null when the
+// result would be a day or longer, which a session cannot express.
+function mergeOverlapping(base, others) {
+    const ranges = [base, ...others].map(sessionRange);
+    const start = Math.min(...ranges.map(r => r.start));
+    const end = Math.max(...ranges.map(r => r.end));
+    if (end - start >= 24 * 60) return null;
+    
+    const startDate = new Date(start * 60000);
+    const endDate = new Date(end * 60000);
+    const notes = [...new Set([base, ...others].map(s => s.note).filter(Boolean))];
+    const merged = {
+        ...base,
+        date: startDate.toISOString().substring(0, 10),
+        startTime: formatTime(startDate.getUTCHours(), startDate.getUTCMinutes()),
+        endTime: formatTime(endDate.getUTCHours(), endDate.getUTCMinutes()),
+        breakMinutes: Math.max(...[base, ...others].map(s => s.breakMinutes || 0)),
+        note: notes.join('; '),
+        fileIds: [...new Set([base, ...others].flatMap(s => s.fileIds || []))]
+    };
+    merged.netMinutes = calculateNetMinutes(merged.startTime, merged.endTime, merged.breakMinutes);
+    return merged.netMinutes > 0 ? merged : null;
+}
+
+function describeOverlaps(overlaps) {
+    return overlaps
+        .map(s => `• ${s.date}  ${formatSessionRange(s)}  ${s.category || 'Other'}${s.note ? ' – ' + s.note : ''}`)
+        .join('\n');
+}
+
+// Warn about overlapping sessions. Returns the merged session to save,
+// or null when the user skips it (exact duplicates are always skipped).
+function resolveOverlaps(candidate, overlaps, base) {
+    if (overlaps.some(s => sessionsMatch(s, candidate))) {
+        alert('This session is already logged:\n\n' + describeOverlaps(overlaps));
+        return null;
+    }
+    
+    if (overlaps.some(isLocked)) {
+        alert('This session overlaps a submitted or approved session:\n\n' + describeOverlaps(overlaps) + '\n\nAdjust the times and try again.');
+        return null;
+    }
+    
+    const merged = mergeOverlapping(base, [candidate, ...overlaps].filter(s => s.id !== base.id));
+    if (!merged) {
+        alert('This session overlaps:\n\n' + describeOverlaps(overlaps) + '\n\nThe sessions are too long to merge. Adjust the times and try again.');
+        return null;
+    }
+    
+    const merge = confirm('This session overlaps:\n\n' + describeOverlaps(overlaps) +
+        `\n\nPress OK to merge them into one session (${formatSessionRange(merged)}), or Cancel to skip saving.`);
+    return merge ? merged : null;
+}
+
+// Replace the merged sessions locally and on the server. Deletes go first so
+// the server never sees the widened session overlapping the old ones.
+async function applyMergedSession(merged, removed) {
+    const removedIds = new Set(removed.map(s => s.id));
+    sessions = sessions.filter(s => !removedIds.has(s.id));
+    const index = sessions.findIndex(s => s.id === merged.id);
+    if (index === -1) {
+        sessions.push(merged);
+    } else {
+        sessions[index] = merged;
+    }
+    cacheSessions();
+    
+    for (const session of removed) {
+        await syncSessionChange('delete', session);
+    }
+    await syncSessionChange('update', merged);
+}
+
+// Date formatting
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function formatTime(hours, minutes) {
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Calculate net minutes
+// An end time before the start time means the session ends on the following day
+function calculateNetMinutes(startStr, endStr, breakMinutes) {
+    if (!startStr || !endStr) return 0;
+    
+    const [startHour, startMin] = startStr.split(':').map(Number);
+    const [endHour, endMin] = endStr.split(':').map(Number);
+    
+    const startTotalMin = startHour * 60 + startMin;
+    const endTotalMin = endHour * 60 + endMin;
+    
+    if (endTotalMin === startTotalMin) return 0;
+    
+    const durationMin = endTotalMin > startTotalMin
+        ? endTotalMin - startTotalMin
+        : endTotalMin + 24 * 60 - startTotalMin;
+    const netMin = Math.max(0, durationMin - breakMinutes);
+    
+    return netMin;
+}
+
+// Day Panel
+function openDayPanel(dateStr, dayEl) {
+    selectedDate = dateStr;
+    document.getElementById('dayPanelTitle').textContent = new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    // Populate sessions list. Overnight sessions show the part worked on this day,
+    // so the list adds up to the day total.
+    const daySessionsList = document.getElementById('daySessionsList');
+    const daySessions = sessions.filter(s => s.date === dateStr);
+    const dayParts = getSessionDayParts().filter(s => s.date === dateStr);
+    const dayTotal = getDateHours(dateStr);
 
     daySessionsList.innerHTML = '';
-    if (daySessions.length === 0) {
+    if (dayParts.length === 0) {
         daySessionsList.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 20px;">No sessions for this day</p>';
     } else {
-        daySessions.forEach(session => {
+        dayParts.forEach(session => {
             const hours = (session.netMinutes / 60).toFixed(1);
+            const range = session.continuesFrom
+                ? `${session.startTime} − ${session.endTime} <span class="session-continued">↩ continues from previous day</span>`
+                : formatSessionRange(sessions.find(s => s.id === session.id) || session);
             const el = document.createElement('div');
             el.className = 'session-item';
             el.innerHTML = `
                 <div>
-                    <div class="session-time">${session.startTime} − ${session.endTime}</div>
+                    <div class="session-time">${range}</div>
                     ${session.note ? `<div class="session-note">${session.note}</div>` : ''}
-                    <div class="session-note">${session.category || 'Other'}</div>
+                    <div class="session-note">${session.category || 'Other'}${approvalBadge(session)}</div>
+                    ${renderFileChips(session.fileIds)}
                 </div>
                 <div class="session-hours">${hours}h</div>
             `;
@@ -436,6 +1506,7 @@ function openDayPanel(dateStr, dayEl) {
         document.getElementById('note').value = '';
         document.getElementById('category').value = 'Internship';
     }
+    setFormFileIds('sessionForm', []);
     updateNetHoursPreview({ currentTarget: document.getElementById('sessionForm') });
 
     document.getElementById('dayPanel').style.display = 'flex';
@@ -445,10 +1516,82 @@ function closeDayPanel() {
     document.getElementById('dayPanel').style.display = 'none';
     selectedDate = null;
     document.getElementById('sessionForm').reset();
+    formFileIds.sessionForm = [];
+}
+
+// Show the calendar with the day panel open on `dateStr`
+function openSessionDay(dateStr) {
+    showPage('hours');
+    currentDate = new Date(dateStr + 'T00:00:00');
+    renderCalendar();
+    openDayPanel(dateStr, null);
+}
+
+// Linked files
+// Sessions keep the ids of the Bestanden BIM files that document them
+function getLinkedFiles(fileIds) {
+    return (fileIds || [])
+        .map(id => uploadedFiles.find(f => f.id === id))
+        .filter(Boolean);
+}
+
+function getLinkedSessions(fileId) {
+    return sessions
+        .filter(s => (s.fileIds || []).includes(fileId))
+        .sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+}
+
+function renderFileChips(fileIds) {
+    const files = getLinkedFiles(fileIds);
+    if (files.length === 0) return '';
+    return `<div class="file-chips">${files.map(file => `
+        <button type="button" class="file-chip" title="Open ${escapeHtml(file.name)}"
+            onclick="event.stopPropagation(); previewFile('${file.id}')">📎 ${escapeHtml(file.name)}</button>
+    `).join('')}</div>`;
+}
+
+const FILE_PICKERS = {
+    sessionForm: { chipsId: 'sessionFileChips', pickerId: 'sessionFilePicker' },
+    editForm: { chipsId: 'editFileChips', pickerId: 'editFilePicker' }
+};
+
+function setFormFileIds(formId, fileIds) {
+    formFileIds[formId] = [...(fileIds || [])];
+    renderFormFiles(formId);
+}
+
+// Chips for the files linked in a session form, plus a picker for the rest
+function renderFormFiles(formId, locked = false) {
+    const { chipsId, pickerId } = FILE_PICKERS[formId];
+    const linkedIds = formFileIds[formId];
+    
+    document.getElementById(chipsId).innerHTML = getLinkedFiles(linkedIds).map(file => `
+        <span class="file-chip">📎 ${escapeHtml(file.name)}${locked ? '' : `<button type="button" class="file-chip-remove"
+            title="Unlink" onclick="unlinkFormFile('${formId}', '${file.id}')">×</button>`}</span>
+    `).join('');
+    
+    const available = uploadedFiles
+        .filter(f => !linkedIds.includes(f.id))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const picker = document.getElementById(pickerId);
+    picker.innerHTML = `<option value="">${uploadedFiles.length > 0 ? '+ Link a file…' : 'No files in Bestanden BIM yet'}</option>` +
+        available.map(f => `<option value="${f.id}">${escapeHtml(f.name)}</option>`).join('');
+    picker.disabled = locked || available.length === 0;
+}
+
+function linkFormFile(formId, picker) {
+    if (!picker.value) return;
+    formFileIds[formId].push(picker.value);
+    renderFormFiles(formId);
+}
+
+function unlinkFormFile(formId, fileId) {
+    formFileIds[formId] = formFileIds[formId].filter(id => id !== fileId);
+    renderFormFiles(formId);
 }
 
 // Session form submission
-function saveSession(event) {
+async function saveSession(event) {
     event.preventDefault();
     
     const date = document.getElementById('sessionDate').value;
@@ -477,12 +1620,25 @@ function saveSession(event) {
         breakMinutes,
         note,
         category,
+        fileIds: [...formFileIds.sessionForm],
         netMinutes
     };
     
+    const overlaps = findOverlaps(session);
+    if (overlaps.length > 0) {
+        const merged = resolveOverlaps(session, overlaps, overlaps[0]);
+        if (merged) {
+            closeDayPanel();
+            await applyMergedSession(merged, overlaps.slice(1));
+        }
+        return;
+    }
+    
     sessions.push(session);
-    saveData();
+    cacheSessions();
     closeDayPanel();
+    
+    await syncSessionChange('create', session);
 }
 
 // Edit modal
@@ -501,6 +1657,21 @@ function openEditModal(sessionId) {
     
     updateNetHoursPreview({ currentTarget: document.getElementById('editForm') });
     
+    // Submitted and approved sessions are read-only
+    const locked = isLocked(session);
+    document.querySelectorAll('#editForm input, #editForm select, #editForm textarea').forEach(el => {
+        el.disabled = locked;
+    });
+    formFileIds.editForm = [...(session.fileIds || [])];
+    renderFormFiles('editForm', locked);
+    document.getElementById('editSaveBtn').style.display = locked ? 'none' : '';
+    document.getElementById('editDeleteBtn').style.display = locked ? 'none' : '';
+    const lockedNote = document.getElementById('editLockedNote');
+    lockedNote.style.display = locked ? 'block' : 'none';
+    lockedNote.textContent = session.approval === 'approved'
+        ? '✓ Approved by your supervisor. This session is read-only.'
+        : '⏳ Awaiting supervisor approval. This session is read-only.';
+    
     document.getElementById('editModal').style.display = 'flex';
 }
 
@@ -509,48 +1680,76 @@ function closeEditModal() {
     editingSessionId = null;
 }
 
-function updateSession(event) {
+async function updateSession(event) {
     event.preventDefault();
     
     const sessionId = editingSessionId;
     const session = sessions.find(s => s.id === sessionId);
     
-    if (!session) return;
+    if (!session || isLocked(session)) return;
     
-    session.date = document.getElementById('editDate').value;
-    session.startTime = document.getElementById('editStartTime').value;
-    session.endTime = document.getElementById('editEndTime').value;
-    session.breakMinutes = parseInt(document.getElementById('editBreakMinutes').value) || 0;
-    session.note = document.getElementById('editNote').value;
-    session.category = document.getElementById('editCategory').value;
-    session.netMinutes = calculateNetMinutes(session.startTime, session.endTime, session.breakMinutes);
+    const updated = {
+        ...session,
+        date: document.getElementById('editDate').value,
+        startTime: document.getElementById('editStartTime').value,
+        endTime: document.getElementById('editEndTime').value,
+        breakMinutes: parseInt(document.getElementById('editBreakMinutes').value) || 0,
+        note: document.getElementById('editNote').value,
+        category: document.getElementById('editCategory').value,
+        fileIds: [...formFileIds.editForm]
+    };
+    updated.netMinutes = calculateNetMinutes(updated.startTime, updated.endTime, updated.breakMinutes);
     
-    if (session.netMinutes <= 0) {
+    if (updated.netMinutes <= 0) {
         alert('Invalid time range');
         return;
     }
     
-    saveData();
+    const overlaps = findOverlaps(updated);
+    let merged = null;
+    if (overlaps.length > 0) {
+        merged = resolveOverlaps(updated, overlaps, updated);
+        if (!merged) return;
+    }
     
     // Close modal and re-open day panel with updated date
     closeEditModal();
+    
+    if (merged) {
+        await applyMergedSession(merged, overlaps);
+        openDayPanel(merged.date, null);
+        return;
+    }
+    
+    Object.assign(session, updated);
+    cacheSessions();
+    
     const dateStr = session.date;
     const dayEl = document.querySelector('.day');
     openDayPanel(dateStr, dayEl);
+    
+    await syncSessionChange('update', updated);
 }
 
-function deleteCurrentSession() {
+async function deleteCurrentSession() {
     if (!editingSessionId) return;
+    if (isLocked(sessions.find(s => s.id === editingSessionId) || {})) return;
     
     if (confirm('Delete this session?')) {
-        sessions = sessions.filter(s => s.id !== editingSessionId);
-        saveData();
+        const sessionId = editingSessionId;
+        const deleted = sessions.find(s => s.id === sessionId);
+        sessions = sessions.filter(s => s.id !== sessionId);
+        cacheSessions();
         closeEditModal();
         
         if (selectedDate) {
             const dayEl = document.querySelector('.day');
             openDayPanel(selectedDate, dayEl);
         }
+        
+        if (deleted) {
+            await syncSessionChange('delete', deleted);
+        }
     }
 }
 
@@ -602,8 +1801,9 @@ function updateNetHoursPreview(event) {
     
     const netMin = calculateNetMinutes(startInput.value, endInput.value, parseInt(breakInput.value) || 0);
     const netHours = (netMin / 60).toFixed(1);
+    const nextDay = netMin > 0 && isOvernight({ startTime: startInput.value, endTime: endInput.value });
     
-    document.getElementById(previewId).textContent = netHours;
+    document.getElementById(previewId).textContent = netHours + (nextDay ? ' (ends the next day)' : '');
 }
 
 // Update date and time
@@ -620,6 +1820,171 @@ function updateDateTime() {
     document.getElementById('currentTime').textContent = `${hours}:${minutes}`;
 }
 
+// Clock-in timer
+// State is { startedAt, pausedAt, breakMs } in epoch milliseconds, or null when clocked out
+function getTimerState() {
+    try {
+        return JSON.parse(localStorage.getItem(userKey(TIMER_STORAGE_KEY)));
+    } catch (e) {
+        return null;
+    }
+}
+
+function setTimerState(state) {
+    if (state) {
+        localStorage.setItem(userKey(TIMER_STORAGE_KEY), JSON.stringify(state));
+    } else {
+        localStorage.removeItem(userKey(TIMER_STORAGE_KEY));
+    }
+    renderTimer();
+}
+
+const MAX_BREAK_MINUTES = 480; // Same limit as the server and the session forms
+
+// Break time so far, including a pause that is still running
+function getTimerBreakMs(state, now) {
+    return state.breakMs + (state.pausedAt ? now - state.pausedAt : 0);
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function renderTimer() {
+    const state = getTimerState();
+    const timerEl = document.getElementById('timer');
+    const toggleBtn = document.getElementById('timerToggleBtn');
+    const pauseBtn = document.getElementById('timerPauseBtn');
+    const elapsedEl = document.getElementById('timerElapsed');
+    
+    clearInterval(timerInterval);
+    timerInterval = null;
+    
+    if (!state) {
+        timerEl.classList.remove('running', 'paused');
+        toggleBtn.textContent = 'Clock in';
+        pauseBtn.style.display = 'none';
+        elapsedEl.textContent = '0:00:00';
+        return;
+    }
+    
+    timerEl.classList.toggle('running', !state.pausedAt);
+    timerEl.classList.toggle('paused', !!state.pausedAt);
+    toggleBtn.textContent = 'Clock out';
+    pauseBtn.style.display = 'inline-block';
+    pauseBtn.textContent = state.pausedAt ? 'Resume' : 'Pause';
+    
+    const tick = () => {
+        const now = Date.now();
+        elapsedEl.textContent = formatDuration(now - state.startedAt - getTimerBreakMs(state, now));
+    };
+    tick();
+    if (!state.pausedAt) {
+        timerInterval = setInterval(tick, 1000);
+    }
+}
+
+function toggleTimer() {
+    if (getTimerState()) {
+        stopTimer();
+    } else {
+        setTimerState({ startedAt: Date.now(), pausedAt: null, breakMs: 0 });
+        console.log('⏱️ Clocked in');
+    }
+}
+
+function toggleTimerPause() {
+    const state = getTimerState();
+    if (!state) return;
+    
+    const now = Date.now();
+    if (state.pausedAt) {
+        state.breakMs += now - state.pausedAt;
+        state.pausedAt = null;
+    } else {
+        state.pausedAt = now;
+    }
+    setTimerState(state);
+}
+
+// Clock out: turn the timer into a session with the real start and end times
+async function stopTimer() {
+    const state = getTimerState();
+    if (!state) return;
+    
+    const now = new Date();
+    const started = new Date(state.startedAt);
+    if (now - started >= MS_PER_DAY) {
+        if (confirm('The timer has been running for more than a day. Discard it and enter the session manually?')) {
+            setTimerState(null);
+        }
+        return;
+    }
+    const breakMinutes = Math.round(getTimerBreakMs(state, now.getTime()) / 60000);
+    const startTime = formatTime(started.getHours(), started.getMinutes());
+    const endTime = formatTime(now.getHours(), now.getMinutes());
+    const netMinutes = calculateNetMinutes(startTime, endTime, breakMinutes);
+    
+    // Check what the server checks before the session exists, so a rejected one
+    // doesn't cost the clocked time
+    if (breakMinutes > MAX_BREAK_MINUTES) {
+        if (confirm(`The timer was paused for ${breakMinutes} minutes, longer than the ${MAX_BREAK_MINUTES} minute maximum break. Discard the timer?\n\nPress Cancel to keep it and enter the session manually instead.`)) {
+            setTimerState(null);
+        }
+        return;
+    }
+    
+    if (netMinutes <= 0) {
+        if (confirm('This session has no working time to record. Discard the timer?')) {
+            setTimerState(null);
+        }
+        return;
+    }
+    
+    const session = {
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+        date: formatDate(started),
+        startTime,
+        endTime,
+        breakMinutes,
+        note: '',
+        category: 'Internship',
+        netMinutes
+    };
+    
+    // Same overlap check as a manually entered session; the server would reject it anyway
+    const overlaps = findOverlaps(session);
+    if (overlaps.length > 0) {
+        const merged = resolveOverlaps(session, overlaps, overlaps[0]);
+        if (!merged) {
+            if (confirm('The clocked time was not saved. Discard the timer?\n\nPress Cancel to keep it running and enter the session manually instead.')) {
+                setTimerState(null);
+            }
+            return;
+        }
+        setTimerState(null);
+        console.log(`⏱️ Clocked out: merged into ${merged.date} ${formatSessionRange(merged)}`);
+        const saving = applyMergedSession(merged, overlaps.slice(1));
+        openEditModal(merged.id);
+        await saving;
+        return;
+    }
+    
+    setTimerState(null);
+    sessions.push(session);
+    cacheSessions();
+    console.log(`⏱️ Clocked out: ${(netMinutes / 60).toFixed(1)}h recorded`);
+    
+    // Let the user add a note or change the category straight away
+    openEditModal(session.id);
+    
+    await syncSessionChange('create', session);
+}
+
 // Fetch weather from Open-Meteo API
 function fetchWeather() {
     // Rotterdam coordinates: 51.9225°N, 4.4792°E
@@ -686,11 +2051,13 @@ function getWeatherInfo(code, isDay) {
 function updateProgress() {
     const totalMinutes = sessions.reduce((sum, s) => sum + s.netMinutes, 0);
     const totalHours = totalMinutes / 60;
-    const remaining = TARGET_HOURS - totalHours;
-    const percent = (totalHours / TARGET_HOURS) * 100;
+    const targetHours = settings.targetHours;
+    const remaining = targetHours - totalHours;
+    const percent = (totalHours / targetHours) * 100;
 
     // Update display
     document.getElementById('totalHours').textContent = totalHours.toFixed(1);
+    document.getElementById('targetHoursLabel').textContent = targetHours;
     document.getElementById('remainingHours').textContent = remaining.toFixed(1);
     document.getElementById('progressPercent').textContent = Math.min(100, Math.round(percent)) + '%';
     
@@ -703,15 +2070,128 @@ function updateProgress() {
 
     // Update progress ring
     const circumference = 2 * Math.PI * 50;
-    const offset = circumference - (percent / 100) * circumference;
+    const offset = circumference - (Math.min(100, percent) / 100) * circumference;
     document.getElementById('progressRing').style.strokeDashoffset = offset;
+    
+    updateForecast(totalHours);
+    
+    if (currentPage === 'reports') {
+        renderReports();
+    }
+}
+
+// Pace Forecasting
+const FORECAST_WINDOW_DAYS = 28; // Trailing window for the average pace
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function parseDate(dateStr) {
+    return new Date(dateStr + 'T00:00:00');
+}
+
+function daysBetween(from, to) {
+    return Math.round((to - from) / MS_PER_DAY);
+}
+
+// Project completion from the trailing average and compare progress with the
+// configured start/end dates. Returns nulls where there is not enough data.
+function calculateForecast(totalHours, today) {
+    const targetHours = settings.targetHours;
+    const remaining = Math.max(0, targetHours - totalHours);
+    const start = settings.startDate ? parseDate(settings.startDate) : null;
+    const end = settings.endDate ? parseDate(settings.endDate) : null;
+    
+    // Average hours per week over the trailing window (shorter if the internship started recently)
+    let windowStart = new Date(today.getTime() - (FORECAST_WINDOW_DAYS - 1) * MS_PER_DAY);
+    if (start && start > windowStart && start <= today) {
+        windowStart = start;
+    }
+    const windowDays = daysBetween(windowStart, today) + 1;
+    const windowFrom = formatDate(windowStart);
+    const windowTo = formatDate(today);
+    const windowHours = getSessionDayParts()
+        .filter(s => s.date >= windowFrom && s.date <= windowTo)
+        .reduce((sum, s) => sum + s.netMinutes / 60, 0);
+    const averagePerWeek = windowHours / (windowDays / 7);
+    
+    let projectedDate = null;
+    if (remaining > 0 && averagePerWeek > 0) {
+        projectedDate = new Date(today.getTime() + Math.ceil((remaining / averagePerWeek) * 7) * MS_PER_DAY);
+    }
+    
+    let requiredPerWeek = null;
+    if (end && remaining > 0 && end >= today) {
+        const daysLeft = daysBetween(today, end) + 1;
+        requiredPerWeek = remaining / (daysLeft / 7);
+    }
+    
+    // Expected hours by today on a straight line from start to end
+    let scheduleDiff = null;
+    if (start && end && end > start) {
+        const elapsed = Math.min(Math.max(daysBetween(start, today) + 1, 0), daysBetween(start, end) + 1);
+        const expectedHours = targetHours * elapsed / (daysBetween(start, end) + 1);
+        scheduleDiff = totalHours - expectedHours;
+    }
+    
+    return {
+        remaining,
+        averagePerWeek,
+        projectedDate,
+        requiredPerWeek,
+        scheduleDiff,
+        pastEnd: Boolean(end && remaining > 0 && end < today),
+        onTime: projectedDate && end ? projectedDate <= end : null
+    };
+}
+
+function updateForecast(totalHours) {
+    const today = parseDate(formatDate(new Date()));
+    const forecast = calculateForecast(totalHours, today);
+    const formatShortDate = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    
+    const projectedEl = document.getElementById('projectedDate');
+    if (forecast.remaining === 0) {
+        projectedEl.textContent = 'Target reached';
+    } else if (forecast.projectedDate) {
+        projectedEl.textContent = formatShortDate(forecast.projectedDate);
+    } else {
+        projectedEl.textContent = 'No recent hours';
+    }
+    projectedEl.classList.toggle('forecast-ahead', forecast.onTime === true);
+    projectedEl.classList.toggle('forecast-behind', forecast.onTime === false);
+    
+    document.getElementById('averagePerWeek').textContent = forecast.averagePerWeek.toFixed(1);
+    
+    const requiredEl = document.getElementById('requiredPerWeek');
+    if (forecast.remaining === 0) {
+        requiredEl.textContent = '0.0 hrs';
+    } else if (forecast.pastEnd) {
+        requiredEl.textContent = 'Past end date';
+    } else if (forecast.requiredPerWeek !== null) {
+        requiredEl.textContent = forecast.requiredPerWeek.toFixed(1) + ' hrs';
+    } else {
+        requiredEl.textContent = 'Set end date';
+    }
+    
+    const scheduleEl = document.getElementById('scheduleStatus');
+    scheduleEl.classList.remove('forecast-ahead', 'forecast-behind');
+    if (forecast.scheduleDiff === null) {
+        scheduleEl.textContent = 'Set start and end date';
+    } else if (Math.abs(forecast.scheduleDiff) < 1) {
+        scheduleEl.textContent = 'On schedule';
+    } else if (forecast.scheduleDiff > 0) {
+        scheduleEl.textContent = `${forecast.scheduleDiff.toFixed(1)}h ahead`;
+        scheduleEl.classList.add('forecast-ahead');
+    } else {
+        scheduleEl.textContent = `${Math.abs(forecast.scheduleDiff).toFixed(1)}h behind`;
+        scheduleEl.classList.add('forecast-behind');
+    }
 }
 
 // Data Management
 function exportJSON() {
     const data = {
         exportDate: new Date().toISOString(),
-        target: TARGET_HOURS,
+        target: settings.targetHours,
         sessions: sessions
     };
     
@@ -732,14 +2212,9 @@ function importJSON() {
         reader.onload = (event) => {
             try {
                 const data = JSON.parse(event.target.result);
-                if (Array.isArray(data.sessions)) {
-                    sessions = data.sessions;
-                    saveData();
-                    alert('Data imported successfully');
-                } else if (Array.isArray(data)) {
-                    sessions = data;
-                    saveData();
-                    alert('Data imported successfully');
+                const imported = Array.isArray(data.sessions) ? data.sessions : data;
+                if (Array.isArray(imported)) {
+                    importSessions(imported);
                 } else {
                     alert('Invalid JSON format');
                 }
@@ -753,12 +2228,94 @@ function importJSON() {
     input.click();
 }
 
+// Add imported sessions to the existing ones, skipping exact duplicates and
+// letting the user merge or skip the ones that overlap
+function importSessions(imported) {
+    const result = [...sessions];
+    const overlapping = [];
+    let added = 0;
+    let duplicates = 0;
+    let invalid = 0;
+    
+    imported.forEach(raw => {
+        if (!raw || !raw.date || !raw.startTime || !raw.endTime) {
+            invalid++;
+            return;
+        }
+        const session = {
+            ...raw,
+            id: raw.id && !result.some(s => s.id === raw.id)
+                ? String(raw.id)
+                : Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            breakMinutes: parseInt(raw.breakMinutes) || 0,
+            category: raw.category || 'Internship'
+        };
+        delete session.revision;
+        session.netMinutes = calculateNetMinutes(session.startTime, session.endTime, session.breakMinutes);
+        if (session.netMinutes <= 0) {
+            invalid++;
+            return;
+        }
+        
+        const overlaps = findOverlaps(session, result);
+        if (overlaps.some(s => sessionsMatch(s, session))) {
+            duplicates++;
+        } else if (overlaps.length > 0) {
+            overlapping.push({ session, overlaps });
+        } else {
+            result.push(session);
+            added++;
+        }
+    });
+    
+    let merged = 0;
+    if (overlapping.length > 0) {
+        const listed = overlapping.slice(0, 10).map(({ session, overlaps }) =>
+            `${session.date}  ${formatSessionRange(session)} overlaps:\n${describeOverlaps(overlaps)}`
+        ).join('\n');
+        const more = overlapping.length > 10 ? `\n…and ${overlapping.length - 10} more` : '';
+        
+        if (confirm(`${overlapping.length} imported session(s) overlap existing ones:\n\n${listed}${more}\n\nPress OK to merge them, or Cancel to skip them.`)) {
+            overlapping.forEach(({ session }) => {
+                const overlaps = findOverlaps(session, result);
+                if (overlaps.some(isLocked)) return;
+                const combined = overlaps.length > 0 ? mergeOverlapping(overlaps[0], [session, ...overlaps.slice(1)]) : session;
+                if (!combined) return;
+                const removedIds = new Set(overlaps.map(s => s.id));
+                result.splice(0, result.length, ...result.filter(s => !removedIds.has(s.id)), combined);
+                merged++;
+            });
+        }
+    }
+    
+    sessions = result;
+    cacheSessions();
+    saveData();
+    
+    const skipped = overlapping.length - merged;
+    alert(`Imported ${added} session(s)` +
+        (merged ? `, merged ${merged}` : '') +
+        (duplicates ? `, skipped ${duplicates} duplicate(s)` : '') +
+        (skipped ? `, skipped ${skipped} overlapping` : '') +
+        (invalid ? `, ignored ${invalid} invalid` : ''));
+}
+
 function exportCSV() {
-    let csv = 'Date,Start Time,End Time,Break (min),Net Hours,Category,Note\n';
+    let csv = 'Date,Start Time,End Date,End Time,Break (min),Net Hours,Category,Note\n';
     
-    sessions.forEach(s => {
+    // Overnight sessions get one row per calendar day; the part before midnight ends
+    // at 00:00 on the next day, since spreadsheets don't read 24:00 as a time
+    getSessionDayParts().forEach(s => {
         const netHours = (s.netMinutes / 60).toFixed(2);
-        csv += `${s.date},${s.startTime},${s.endTime},${s.breakMinutes},${netHours},${s.category},${s.note || ''}\n`;
+        let endDate = s.date;
+        let endTime = s.endTime;
+        if (endTime === '24:00') {
+            const nextDay = parseDate(s.date);
+            nextDay.setDate(nextDay.getDate() + 1);
+            endDate = formatDate(nextDay);
+            endTime = '00:00';
+        }
+        csv += `${s.date},${s.startTime},${endDate},${endTime},${s.breakMinutes},${netHours},${s.category},${s.note || ''}\n`;
     });
     
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -780,7 +2337,7 @@ function clearAllData() {
     if (confirm('This will permanently delete all data. Are you sure?')) {
         if (confirm('This action cannot be undone. Delete everything?')) {
             sessions = [];
-            localStorage.removeItem(STORAGE_KEY);
+            localStorage.removeItem(userKey(STORAGE_KEY));
             renderCalendar();
             updateProgress();
             closeDayPanel();
@@ -797,7 +2354,17 @@ function showPage(pageName) {
     });
     
     // Show selected page
-    const pageId = pageName === 'hours' ? 'hoursPage' : 'bestandenPage';
+    const pages = {
+        hours: { pageId: 'hoursPage', navId: 'navHours' },
+        bestanden: { pageId: 'bestandenPage', navId: 'navBestanden' },
+        reports: { pageId: 'reportsPage', navId: 'navReports' },
+        approvals: { pageId: 'approvalsPage', navId: 'navApprovals' },
+        team: { pageId: 'teamPage', navId: 'navTeam' },
+        account: { pageId: 'accountPage', navId: 'navAccount' }
+    };
+    const { pageId, navId } = pages[pageName] || pages.hours;
+    currentPage = pages[pageName] ? pageName : 'hours';
+    
     const page = document.getElementById(pageId);
     if (page) {
         page.style.display = 'block';
@@ -808,49 +2375,1022 @@ function showPage(pageName) {
         btn.classList.remove('active');
     });
     
-    const activeBtn = document.getElementById(pageName === 'hours' ? 'navHours' : 'navBestanden');
+    const activeBtn = document.getElementById(navId);
     if (activeBtn) {
         activeBtn.classList.add('active');
     }
+    
+    if (currentPage === 'reports') {
+        renderReports();
+    } else if (currentPage === 'approvals') {
+        renderApprovals();
+    } else if (currentPage === 'team') {
+        renderTeam();
+    } else if (currentPage === 'account') {
+        renderAccount();
+    }
 }
 
-// File Management for Bestanden BIM
-async function loadFiles() {
-    try {
-        // Load file metadata from localStorage
-        const stored = localStorage.getItem(FILES_STORAGE_KEY);
-        if (stored) {
+// Reports
+const REPORT_MAX_WEEKS = 26;
+
+// ISO 8601 week: weeks start on Monday, week 1 contains the first Thursday of the year
+function getISOWeek(dateStr) {
+    const date = parseDate(dateStr);
+    const thursday = new Date(date);
+    thursday.setDate(date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const yearStart = new Date(thursday.getFullYear(), 0, 1);
+    const week = Math.ceil((daysBetween(yearStart, thursday) + 1) / 7);
+    return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Sum hours per key, sorted by key
+function sumHoursBy(keyFn) {
+    const totals = new Map();
+    getSessionDayParts().forEach(s => {
+        const key = keyFn(s);
+        totals.set(key, (totals.get(key) || 0) + s.netMinutes / 60);
+    });
+    return new Map([...totals.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function calculateReportSummary() {
+    const count = sessions.length;
+    const totalMinutes = sessions.reduce((sum, s) => sum + s.netMinutes, 0);
+    const totalBreak = sessions.reduce((sum, s) => sum + (s.breakMinutes || 0), 0);
+    
+    return {
+        count,
+        totalHours: totalMinutes / 60,
+        averageSessionHours: count ? totalMinutes / count / 60 : 0,
+        averageBreakMinutes: count ? totalBreak / count : 0
+    };
+}
+
+function renderReports() {
+    const summary = calculateReportSummary();
+    document.getElementById('reportSessionCount').textContent = summary.count;
+    document.getElementById('reportTotalHours').textContent = summary.totalHours.toFixed(1);
+    document.getElementById('reportAverageSession').textContent = summary.averageSessionHours.toFixed(1);
+    document.getElementById('reportAverageBreak').textContent = Math.round(summary.averageBreakMinutes);
+    
+    const weekly = [...sumHoursBy(s => getISOWeek(s.date)).entries()].slice(-REPORT_MAX_WEEKS);
+    const monthly = [...sumHoursBy(s => s.date.substring(0, 7)).entries()];
+    const byCategory = [...sumHoursBy(s => s.category || 'Other').entries()];
+    
+    if (typeof Chart === 'undefined') {
+        document.querySelectorAll('.report-chart').forEach(el => {
+            el.innerHTML = '<p class="report-empty">Chart library not loaded. Try refreshing the page.</p>';
+        });
+        return;
+    }
+    
+    let cumulative = 0;
+    const cumulativeMonthly = monthly.map(([, hours]) => (cumulative += hours));
+    
+    drawReportChart('weeklyChart', {
+        type: 'bar',
+        data: {
+            labels: weekly.map(([week]) => week),
+            datasets: [{ label: 'Hours', data: weekly.map(([, hours]) => round1(hours)), backgroundColor: '#5e5ce6' }]
+        }
+    });
+    
+    drawReportChart('monthlyChart', {
+        type: 'bar',
+        data: {
+            labels: monthly.map(([month]) => parseDate(month + '-01').toLocaleDateString('en-US', { month: 'short', year: 'numeric' })),
+            datasets: [
+                { label: 'Hours', data: monthly.map(([, hours]) => round1(hours)), backgroundColor: '#5e5ce6', yAxisID: 'y' },
+                { label: 'Cumulative', type: 'line', data: cumulativeMonthly.map(round1), borderColor: '#34c759', backgroundColor: '#34c759', yAxisID: 'cumulative' }
+            ]
+        },
+        options: {
+            scales: {
+                cumulative: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } }
+            }
+        }
+    });
+    
+    drawReportChart('categoryChart', {
+        type: 'bar',
+        data: {
+            labels: byCategory.map(([category]) => category),
+            datasets: [{ label: 'Hours', data: byCategory.map(([, hours]) => round1(hours)), backgroundColor: ['#5e5ce6', '#34c759', '#ff9500', '#a0a0a6'] }]
+        },
+        options: { indexAxis: 'y' }
+    });
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function drawReportChart(containerId, config) {
+    const container = document.getElementById(containerId);
+    if (reportCharts[containerId]) {
+        reportCharts[containerId].destroy();
+        delete reportCharts[containerId];
+    }
+    
+    if (config.data.labels.length === 0) {
+        container.innerHTML = '<p class="report-empty">No sessions logged yet</p>';
+        return;
+    }
+    
+    container.innerHTML = '<canvas></canvas>';
+    Chart.defaults.color = '#a0a0a6';
+    Chart.defaults.borderColor = '#2a2a2d';
+    
+    reportCharts[containerId] = new Chart(container.querySelector('canvas'), {
+        ...config,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: config.data.datasets.length > 1 } },
+            ...config.options,
+            scales: {
+                y: { beginAtZero: true },
+                ...(config.options && config.options.scales)
+            }
+        }
+    });
+}
+
+// Approvals
+function isLocked(session) {
+    return session.approval === 'pending' || session.approval === 'approved';
+}
+
+function approvalBadge(session) {
+    if (session.approval === 'approved') return ' · <span class="approval-badge approved">Approved</span>';
+    if (session.approval === 'pending') return ' · <span class="approval-badge pending">Pending</span>';
+    return '';
+}
+
+async function renderApprovals() {
+    const list = document.getElementById('submissionsList');
+    
+    const dateInput = document.getElementById('submitPeriodDate');
+    if (!dateInput.value) {
+        dateInput.value = formatDate(new Date());
+    }
+    
+    try {
+        const response = await fetch('/api/submissions', { headers: getAuthHeaders() });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || `HTTP ${response.status}`);
+        }
+        
+        // The role comes from the organization, so it can change between visits
+        const { role, supervisor, linkCode, submissions } = result.data;
+        const isSupervisor = role === 'supervisor';
+        document.getElementById('internApprovals').style.display = isSupervisor ? 'none' : 'block';
+        document.getElementById('supervisorApprovals').style.display = isSupervisor ? 'block' : 'none';
+        document.getElementById('submissionsTitle').textContent = isSupervisor ? 'Submissions from your interns' : 'Your submissions';
+        if (isSupervisor) {
+            const codeEl = document.getElementById('supervisorLinkCode');
+            codeEl.textContent = linkCode || 'No link code yet';
+            codeEl.dataset.code = linkCode || '';
+        } else {
+            document.getElementById('supervisorInfo').textContent = supervisor
+                ? `Linked to ${supervisor.username} (${supervisor.email})`
+                : 'No supervisor linked yet';
+        }
+        
+        list.innerHTML = submissions.length === 0
+            ? '<p class="approval-muted">No submissions yet</p>'
+            : submissions.map(s => renderSubmission(s, isSupervisor)).join('');
+    } catch (error) {
+        console.error('Failed to load submissions:', error);
+        list.innerHTML = '<p class="approval-muted">Could not load submissions. Are you online?</p>';
+    }
+}
+
+function renderSubmission(submission, isSupervisor) {
+    const period = submission.periodType === 'week'
+        ? `Week ${getISOWeek(submission.periodStart)}`
+        : parseDate(submission.periodStart).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    
+    const rows = submission.sessions.map(s => `
+        <div class="submission-row">
+            <span>${s.date}</span>
+            <span>${formatSessionRange(s)}</span>
+            <span>${escapeHtml(s.category || 'Other')}${s.note ? ' · ' + escapeHtml(s.note) : ''}</span>
+            <span>${(s.netMinutes / 60).toFixed(1)}h</span>
+        </div>
+    `).join('');
+    
+    let review = '';
+    if (submission.status === 'pending' && isSupervisor) {
+        review = `
+            <textarea id="comment-${submission.id}" class="submission-comment" placeholder="Comment (required when rejecting)"></textarea>
+            <div class="form-buttons">
+                <button class="btn btn-save" onclick="reviewSubmission('${submission.id}', '${submission.internId}', 'approved')">Approve</button>
+                <button class="btn btn-delete" onclick="reviewSubmission('${submission.id}', '${submission.internId}', 'rejected')">Reject</button>
+            </div>
+        `;
+    } else if (submission.status === 'pending') {
+        review = `
+            <div class="form-buttons">
+                <button class="btn btn-cancel" onclick="withdrawSubmission('${submission.id}')">Withdraw</button>
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="submission-card">
+            <div class="submission-header">
+                <strong>${isSupervisor ? escapeHtml(submission.internUsername) + ' · ' : ''}${period}</strong>
+                <span>${submission.totalHours.toFixed(1)} hrs</span>
+                <span class="approval-badge ${submission.status}">${submission.status}</span>
+            </div>
+            ${submission.comment ? `<p class="submission-feedback">💬 ${escapeHtml(submission.comment)} — ${escapeHtml(submission.decidedBy || '')}</p>` : ''}
+            ${rows}
+            ${review}
+        </div>
+    `;
+}
+
+async function linkSupervisor(event) {
+    event.preventDefault();
+    const code = document.getElementById('supervisorCode').value.trim();
+    
+    try {
+        const response = await fetch('/api/supervisor', {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ code })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to link supervisor');
+            return;
+        }
+        document.getElementById('supervisorCode').value = '';
+        console.log('✓ Supervisor linked:', result.data.supervisor.username);
+        renderApprovals();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function regenerateLinkCode() {
+    if (document.getElementById('supervisorLinkCode').dataset.code &&
+        !confirm('Replace the link code? The old code stops working; interns already linked stay linked.')) return;
+    try {
+        await apiRequest('POST', '/api/supervisor/code');
+        renderApprovals();
+    } catch (error) {
+        alert('Failed to create link code: ' + error.message);
+    }
+}
+
+async function submitHours(event) {
+    event.preventDefault();
+    const periodType = document.getElementById('submitPeriodType').value;
+    const date = document.getElementById('submitPeriodDate').value;
+    
+    if (await countOutboxOperations() > 0) {
+        alert('Some changes are not synced yet. Submit again once they are saved.');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/submissions', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ periodType, date })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to submit hours');
+            return;
+        }
+        console.log('✓ Submitted for approval:', result.data.submission.id);
+        // Pick up the locked sessions
+        await loadData();
+        updateProgress();
+        renderCalendar();
+        renderApprovals();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function reviewSubmission(submissionId, internId, status) {
+    const comment = document.getElementById(`comment-${submissionId}`).value.trim();
+    if (status === 'rejected' && !comment) {
+        alert('Add a comment explaining the rejection');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/submissions/${encodeURIComponent(submissionId)}`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ internId, status, comment })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to review submission');
+            return;
+        }
+        console.log(`✓ Submission ${status}`);
+        renderApprovals();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function withdrawSubmission(submissionId) {
+    if (!confirm('Withdraw this submission? Its sessions can be edited again and submitted later.')) return;
+    
+    try {
+        await apiRequest('POST', `/api/submissions/${encodeURIComponent(submissionId)}/withdraw`);
+        console.log('✓ Submission withdrawn');
+        // Pick up the unlocked sessions
+        await loadData();
+        updateProgress();
+        renderCalendar();
+        renderApprovals();
+    } catch (error) {
+        alert('Failed to withdraw submission: ' + error.message);
+    }
+}
+
+// Organizations and the admin overview of members' hours
+const TEAM_INACTIVE_DAYS = 14;
+
+// JSON request to the API; returns `data` or throws with the server's message
+async function apiRequest(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: getAuthHeaders(),
+        ...(body && { body: JSON.stringify(body) })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data || {};
+}
+
+async function renderTeam() {
+    try {
+        const { org } = await apiRequest('GET', '/api/orgs/current');
+        document.getElementById('teamJoin').style.display = org ? 'none' : 'block';
+        document.getElementById('teamInfo').style.display = org ? 'block' : 'none';
+        document.getElementById('teamMembers').style.display = org && org.role !== 'member' ? 'block' : 'none';
+        if (!org) return;
+        
+        document.getElementById('orgNameDisplay').textContent = `${org.name} · ${org.memberCount} member(s)`;
+        const roleEl = document.getElementById('orgRoleDisplay');
+        roleEl.textContent = org.role;
+        roleEl.className = `approval-badge ${org.role === 'member' ? '' : 'approved'}`;
+        document.getElementById('orgInvite').style.display = org.inviteCode ? 'flex' : 'none';
+        document.getElementById('orgInviteCodeDisplay').textContent = org.inviteCode || '';
+        
+        if (org.role !== 'member') {
+            const { members } = await apiRequest('GET', '/api/orgs/current/members');
+            renderTeamMembers(members, org.role === 'admin');
+        }
+    } catch (error) {
+        console.error('Failed to load organization:', error);
+        document.getElementById('teamJoin').style.display = 'none';
+        document.getElementById('teamInfo').style.display = 'none';
+        document.getElementById('teamMembers').style.display = 'none';
+    }
+}
+
+function renderTeamMembers(members, isAdmin) {
+    const today = new Date();
+    const inactiveSince = today.getTime() - TEAM_INACTIVE_DAYS * MS_PER_DAY;
+    const isInactive = m => !m.lastActivity || new Date(m.lastActivity).getTime() < inactiveSince;
+    
+    document.getElementById('teamMemberCount').textContent = members.length;
+    document.getElementById('teamTotalHours').textContent = members.reduce((sum, m) => sum + m.totalHours, 0).toFixed(1);
+    document.getElementById('teamInactiveCount').textContent = members.filter(isInactive).length;
+    
+    // Furthest behind first
+    const sorted = [...members].sort((a, b) => b.remainingHours - a.remainingHours);
+    const rows = sorted.map(m => {
+        const percent = Math.min(100, m.targetHours > 0 ? (m.totalHours / m.targetHours) * 100 : 0);
+        const role = isAdmin
+            ? `<select onchange="changeMemberRole('${m.userId}', this.value)">
+                ${['member', 'supervisor', 'admin'].map(r => `<option value="${r}" ${r === m.role ? 'selected' : ''}>${r}</option>`).join('')}
+               </select>`
+            : m.role;
+        const remove = isAdmin && m.userId !== currentUser.userId
+            ? `<button class="btn btn-delete" onclick="removeMember('${m.userId}', '${escapeHtml(m.username)}')">Remove</button>`
+            : '';
+        const lastActivity = m.lastActivity
+            ? new Date(m.lastActivity).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+            : '—';
+        
+        return `
+            <div class="team-row ${isInactive(m) ? 'inactive' : ''}">
+                <div>
+                    <strong>${escapeHtml(m.username)}</strong>
+                    <div class="session-note">${escapeHtml(m.email)}</div>
+                </div>
+                <div>${role}</div>
+                <div>
+                    <div>${m.totalHours.toFixed(1)} / ${m.targetHours} hrs</div>
+                    <div class="team-progress"><div class="team-progress-bar" style="width: ${percent}%;"></div></div>
+                </div>
+                <div>${m.remainingHours.toFixed(1)} hrs left${m.endDate ? `<div class="session-note">ends ${m.endDate}</div>` : ''}</div>
+                <div>${lastActivity}${m.lastSessionDate ? `<div class="session-note">last session ${m.lastSessionDate}</div>` : ''}</div>
+                <div>${remove}</div>
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('teamMembersList').innerHTML = `
+        <div class="team-row team-row-header">
+            <div>Member</div><div>Role</div><div>Progress</div><div>Remaining</div><div>Last activity</div><div></div>
+        </div>
+        ${rows}
+    `;
+}
+
+async function createOrg(event) {
+    event.preventDefault();
+    try {
+        await apiRequest('POST', '/api/orgs', { name: document.getElementById('orgName').value.trim() });
+        document.getElementById('orgName').value = '';
+        renderTeam();
+    } catch (error) {
+        alert('Failed to create organization: ' + error.message);
+    }
+}
+
+async function joinOrg(event) {
+    event.preventDefault();
+    try {
+        await apiRequest('POST', '/api/orgs/join', { inviteCode: document.getElementById('orgInviteCode').value.trim() });
+        document.getElementById('orgInviteCode').value = '';
+        renderTeam();
+    } catch (error) {
+        alert('Failed to join organization: ' + error.message);
+    }
+}
+
+async function leaveOrg() {
+    if (!confirm('Leave this organization?')) return;
+    try {
+        await apiRequest('DELETE', `/api/orgs/current/members/${encodeURIComponent(currentUser.userId)}`);
+        renderTeam();
+    } catch (error) {
+        alert('Failed to leave organization: ' + error.message);
+    }
+}
+
+async function regenerateInviteCode() {
+    if (!confirm('Replace the invite code? The old code stops working.')) return;
+    try {
+        await apiRequest('POST', '/api/orgs/current/invite-code');
+        renderTeam();
+    } catch (error) {
+        alert('Failed to replace invite code: ' + error.message);
+    }
+}
+
+async function changeMemberRole(userId, role) {
+    try {
+        await apiRequest('PUT', `/api/orgs/current/members/${encodeURIComponent(userId)}`, { role });
+    } catch (error) {
+        alert('Failed to change role: ' + error.message);
+    }
+    renderTeam();
+}
+
+async function removeMember(userId, username) {
+    if (!confirm(`Remove ${username} from the organization?`)) return;
+    try {
+        await apiRequest('DELETE', `/api/orgs/current/members/${encodeURIComponent(userId)}`);
+        renderTeam();
+    } catch (error) {
+        alert('Failed to remove member: ' + error.message);
+    }
+}
+
+// Account: profile, password, 2FA, devices and account deletion
+async function renderAccount() {
+    try {
+        const account = await apiRequest('GET', '/api/account');
+        const since = new Date(account.createdAt).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        document.getElementById('accountSummary').textContent =
+            `${account.username} · ${account.email}${account.emailVerified ? '' : ' (not verified)'} · ${account.role} · member since ${since}`;
+        document.getElementById('accountRetention').textContent = account.retentionDays
+            ? `Accounts nobody signs in to for ${account.retentionDays} days are deleted, after a warning email.`
+            : '';
+        renderTwoFactor(account);
+        
+        const { sessions: devices } = await apiRequest('GET', '/api/auth/sessions');
+        renderDeviceSessions(devices);
+    } catch (error) {
+        console.error('Failed to load account:', error);
+        document.getElementById('accountSummary').textContent = 'Could not load your account. Are you online?';
+    }
+}
+
+function renderTwoFactor(account) {
+    document.getElementById('twoFactorStatus').textContent = account.twoFactorEnabled
+        ? `Enabled. Sign-ins need a code from your authenticator app. ${account.recoveryCodesLeft} recovery codes left.`
+        : 'Off. Turn it on to require a code from an authenticator app when you sign in.';
+    document.getElementById('twoFactorOff').style.display = account.twoFactorEnabled ? 'none' : 'block';
+    document.getElementById('twoFactorOn').style.display = account.twoFactorEnabled ? 'block' : 'none';
+    // Changing the email or deleting the account then needs a code as well
+    document.querySelectorAll('.two-factor-code').forEach(input => {
+        input.style.display = account.twoFactorEnabled ? '' : 'none';
+        input.required = account.twoFactorEnabled;
+    });
+    if (account.twoFactorEnabled) {
+        document.getElementById('twoFactorEnroll').style.display = 'none';
+    } else {
+        document.getElementById('twoFactorRecovery').style.display = 'none';
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('twoFactorRecoveryCodes').textContent = codes.join('\n');
+    document.getElementById('twoFactorRecovery').style.display = 'block';
+}
+
+async function startTwoFactorSetup(event) {
+    event.preventDefault();
+    const passwordInput = document.getElementById('twoFactorSetupPassword');
+    
+    try {
+        const { secret, qrCode } = await apiRequest('POST', '/api/account/2fa/setup', { currentPassword: passwordInput.value });
+        passwordInput.value = '';
+        document.getElementById('twoFactorQr').src = qrCode;
+        document.getElementById('twoFactorSecret').textContent = secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('twoFactorEnroll').style.display = 'block';
+        document.getElementById('twoFactorEnableCode').focus();
+    } catch (error) {
+        alert('Failed to start 2FA setup: ' + error.message);
+    }
+}
+
+async function enableTwoFactor(event) {
+    event.preventDefault();
+    const codeInput = document.getElementById('twoFactorEnableCode');
+    
+    try {
+        const { recoveryCodes } = await apiRequest('POST', '/api/account/2fa/enable', { code: codeInput.value.trim() });
+        codeInput.value = '';
+        showRecoveryCodes(recoveryCodes);
+        renderAccount();
+    } catch (error) {
+        alert('Failed to enable 2FA: ' + error.message);
+    }
+}
+
+async function regenerateRecoveryCodes(event) {
+    event.preventDefault();
+    if (!confirm('Create new recovery codes? The old ones stop working.')) return;
+    const passwordInput = document.getElementById('twoFactorRecoveryPassword');
+    
+    try {
+        const { recoveryCodes } = await apiRequest('POST', '/api/account/2fa/recovery-codes', { currentPassword: passwordInput.value });
+        passwordInput.value = '';
+        showRecoveryCodes(recoveryCodes);
+        renderAccount();
+    } catch (error) {
+        alert('Failed to create recovery codes: ' + error.message);
+    }
+}
+
+async function disableTwoFactor(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    
+    try {
+        await apiRequest('DELETE', '/api/account/2fa', {
+            currentPassword: document.getElementById('twoFactorDisablePassword').value,
+            code: document.getElementById('twoFactorDisableCode').value.trim()
+        });
+        form.reset();
+        renderAccount();
+    } catch (error) {
+        alert('Failed to disable 2FA: ' + error.message);
+    }
+}
+
+// Short "Browser on OS" label from a user agent string
+function describeUserAgent(userAgent) {
+    const ua = userAgent || '';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari'
+        : 'Unknown browser';
+    const os = /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Android/.test(ua) ? 'Android'
+        : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Linux/.test(ua) ? 'Linux'
+        : 'unknown OS';
+    return `${browser} on ${os}`;
+}
+
+function renderDeviceSessions(devices) {
+    const formatWhen = iso => new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    
+    document.getElementById('deviceSessionsList').innerHTML = devices.map(device => `
+        <div class="session-item device-item">
+            <div>
+                <div class="session-time">${escapeHtml(describeUserAgent(device.userAgent))}${device.current ? ' <span class="approval-badge approved">This device</span>' : ''}</div>
+                <div class="session-note">${escapeHtml(device.ip || '')} · signed in ${formatWhen(device.createdAt)} · last active ${formatWhen(device.lastUsedAt)}</div>
+            </div>
+            <button class="btn btn-delete" onclick="revokeDeviceSession('${device.sid}', ${device.current})">${device.current ? 'Log out' : 'Revoke'}</button>
+        </div>
+    `).join('');
+}
+
+async function revokeDeviceSession(sid, isCurrent) {
+    if (isCurrent) {
+        handleLogout();
+        return;
+    }
+    if (!confirm('Sign out this device?')) return;
+    
+    try {
+        await apiRequest('DELETE', `/api/auth/sessions/${encodeURIComponent(sid)}`);
+        renderAccount();
+    } catch (error) {
+        alert('Failed to revoke session: ' + error.message);
+    }
+}
+
+async function logoutEverywhere() {
+    if (!confirm('Sign out on all devices, including this one?')) return;
+    
+    try {
+        await apiRequest('POST', '/api/auth/logout-all');
+        await clearLocalData();
+        window.location.href = '/auth.html';
+    } catch (error) {
+        alert('Failed to log out everywhere: ' + error.message);
+    }
+}
+
+async function changeUsername(event) {
+    event.preventDefault();
+    const username = document.getElementById('accountUsername').value.trim();
+    
+    try {
+        const response = await fetch('/api/account/username', {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ username })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to change username');
+            return;
+        }
+        
+        // The server has set a new token cookie carrying the new username
+        currentUser.username = result.data.username;
+        localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(currentUser));
+        document.getElementById('usernameDisplay').textContent = currentUser.username;
+        document.getElementById('accountUsername').value = '';
+        renderAccount();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function changeEmail(event) {
+    event.preventDefault();
+    
+    try {
+        const response = await fetch('/api/account/email', {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({
+                email: document.getElementById('accountEmail').value.trim(),
+                currentPassword: document.getElementById('accountEmailPassword').value,
+                code: document.getElementById('accountEmailCode').value.trim()
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to change email');
+            return;
+        }
+        
+        alert(result.message);
+        document.getElementById('accountEmail').value = '';
+        document.getElementById('accountEmailPassword').value = '';
+        document.getElementById('accountEmailCode').value = '';
+        renderAccount();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function changePassword(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    
+    try {
+        const response = await fetch('/api/account/password', {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({
+                currentPassword: document.getElementById('accountCurrentPassword').value,
+                password: document.getElementById('accountNewPassword').value,
+                passwordConfirm: document.getElementById('accountNewPasswordConfirm').value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to change password');
+            return;
+        }
+        
+        form.reset();
+        alert(result.message);
+        renderAccount();
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+async function deleteAccount(event) {
+    event.preventDefault();
+    if (!confirm('Permanently delete your account and all its data?')) return;
+    if (!confirm('This action cannot be undone. Delete your account?')) return;
+    
+    try {
+        const response = await fetch('/api/account', {
+            method: 'DELETE',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({
+                currentPassword: document.getElementById('accountDeletePassword').value,
+                code: document.getElementById('accountDeleteCode').value.trim()
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.message || 'Failed to delete account');
+            return;
+        }
+        
+        await clearLocalData();
+        alert('Your account has been deleted');
+        window.location.href = '/auth.html';
+    } catch (error) {
+        alert('Could not reach the server. Try again when you are online.');
+    }
+}
+
+// File Management for Bestanden BIM
+async function loadFiles() {
+    try {
+        // Load file metadata from localStorage
+        const stored = localStorage.getItem(userKey(FILES_STORAGE_KEY));
+        if (stored) {
+            try {
+                uploadedFiles = JSON.parse(stored);
+                console.log('Loaded', uploadedFiles.length, 'files from localStorage');
+                
+                // Log which files have legacy data vs new IndexedDB data
+                const withLegacyData = uploadedFiles.filter(f => f.data && typeof f.data === 'string').length;
+                const withoutData = uploadedFiles.filter(f => !f.data).length;
+                console.log('File breakdown: ' + withLegacyData + ' with legacy base64 data, ' + withoutData + ' new files (data in IndexedDB)');
+            } catch (e) {
+                console.error('Failed to load files from localStorage:', e);
+                uploadedFiles = [];
+            }
+        }
+        
+        // Load folders from localStorage
+        const folderStored = localStorage.getItem(userKey(FOLDERS_STORAGE_KEY));
+        if (folderStored) {
+            try {
+                folders = JSON.parse(folderStored);
+                console.log('Loaded', folders.length, 'folders from localStorage');
+            } catch (e) {
+                console.error('Failed to load folders:', e);
+                folders = [];
+            }
+        }
+        
+        currentFolder = null;
+        renderBreadcrumb();
+        renderFilesList();
+        syncFiles();
+    } catch (e) {
+        console.error('Error loading files:', e);
+    }
+}
+
+// Server copy of a file's metadata in the shape the file list uses
+function toLocalFile(file) {
+    return {
+        id: file.id,
+        name: file.name,
+        size: formatFileSize(file.size),
+        bytes: file.size,
+        uploadedAt: file.uploadedAt,
+        type: file.type,
+        parentId: file.parentId,
+        versionId: file.versionId || file.id,
+        version: file.version || 1,
+        versions: (file.versions || []).map(v => ({
+            versionId: v.versionId,
+            version: v.version,
+            bytes: v.size,
+            type: v.type,
+            uploadedAt: v.uploadedAt
+        })),
+        synced: true
+    };
+}
+
+// Versions
+// A file's metadata describes its current version; older ones are listed in `versions`,
+// newest first. Every version's contents are cached in IndexedDB under its versionId;
+// the first version's id is the file id. History entries carry `synced: false` until uploaded.
+function getBlobId(file) {
+    return file.versionId || file.id;
+}
+
+// The current version in the shape of a history entry
+function toVersionEntry(file) {
+    return {
+        versionId: getBlobId(file),
+        version: file.version || 1,
+        bytes: file.bytes,
+        type: file.type,
+        uploadedAt: file.uploadedAt,
+        ...(file.synced ? {} : { synced: false }),
+        ...(file.localOnly ? { localOnly: true } : {})
+    };
+}
+
+// All versions, current first
+function getFileVersions(file) {
+    return [toVersionEntry(file), ...(file.versions || [])];
+}
+
+// Versions still to be sent to the server, oldest first
+function getPendingVersions(file) {
+    return getFileVersions(file)
+        .filter(v => v.synced === false && !v.localOnly)
+        .sort((a, b) => a.version - b.version);
+}
+
+function hasLocalOnlyVersions(file) {
+    return getFileVersions(file).some(v => v.localOnly);
+}
+
+// Make an upload the current version of `file`, keeping the previous one in the history
+async function addFileVersion(file, { versionId, bytes, type, uploadedAt, localOnly }) {
+    if (file.data) {
+        await migrateLegacyFile(file.id);
+    }
+    const version = Math.max(...getFileVersions(file).map(v => v.version)) + 1;
+    file.versions = getFileVersions(file);
+    Object.assign(file, { versionId, version, size: formatFileSize(bytes), bytes, type, uploadedAt, synced: false, localOnly });
+}
+
+function deleteFileBlobs(file) {
+    getFileVersions(file).forEach(version => {
+        deleteFileFromIndexedDB(version.versionId).catch(e => console.error('Error deleting from IndexedDB:', e));
+    });
+}
+
+// Number of folders above this one, so parents can be created on the server first
+function getFolderDepth(folder) {
+    let depth = 0;
+    let current = folder;
+    while (current && current.parentId && depth < folders.length) {
+        current = folders.find(f => f.id === current.parentId);
+        depth++;
+    }
+    return depth;
+}
+
+// Send one version of a file. The first version sent creates the file on the server;
+// later ones are added to its history.
+async function uploadFileToServer(file, version, blob, existsOnServer) {
+    const params = new URLSearchParams({
+        versionId: version.versionId,
+        type: version.type || getMimeType(file.name),
+        uploadedAt: version.uploadedAt
+    });
+    let url = `/api/files/${encodeURIComponent(file.id)}/versions?${params}`;
+    if (!existsOnServer) {
+        params.set('id', file.id);
+        params.set('name', file.name);
+        if (file.parentId) params.set('parentId', file.parentId);
+        url = `/api/files?${params}`;
+    }
+    
+    // Sent as octet-stream so the server's JSON parser leaves .json files alone
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: blob
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data.file;
+}
+
+// Bring the file list in line with the server. Folders and files that only exist here
+// (uploads made offline, or from before files were stored on the server) are sent up
+// first; then the server's list wins and blobs of files deleted elsewhere are dropped.
+async function syncFiles() {
+    if (isSyncingFiles || !navigator.onLine) return;
+    isSyncingFiles = true;
+    
+    try {
+        const index = await apiRequest('GET', '/api/files');
+        maxUploadBytes = index.maxFileMb * 1024 * 1024;
+        
+        const newFolders = folders
+            .filter(f => !f.synced && !index.folders.some(s => s.id === f.id))
+            .sort((a, b) => getFolderDepth(a) - getFolderDepth(b));
+        for (const folder of newFolders) {
             try {
-                uploadedFiles = JSON.parse(stored);
-                console.log('Loaded', uploadedFiles.length, 'files from localStorage');
-                
-                // Log which files have legacy data vs new IndexedDB data
-                const withLegacyData = uploadedFiles.filter(f => f.data && typeof f.data === 'string').length;
-                const withoutData = uploadedFiles.filter(f => !f.data).length;
-                console.log('File breakdown: ' + withLegacyData + ' with legacy base64 data, ' + withoutData + ' new files (data in IndexedDB)');
-            } catch (e) {
-                console.error('Failed to load files from localStorage:', e);
-                uploadedFiles = [];
+                const { folder: saved } = await apiRequest('POST', '/api/folders', {
+                    id: folder.id,
+                    name: folder.name,
+                    parentId: folder.parentId,
+                    createdAt: folder.createdAt
+                });
+                index.folders.push(saved);
+            } catch (error) {
+                console.warn('Could not sync folder', folder.name, error.message);
             }
         }
         
-        // Load folders from localStorage
-        const folderStored = localStorage.getItem(FOLDERS_STORAGE_KEY);
-        if (folderStored) {
+        for (const file of uploadedFiles.filter(f => getPendingVersions(f).length > 0)) {
             try {
-                folders = JSON.parse(folderStored);
-                console.log('Loaded', folders.length, 'folders from localStorage');
-            } catch (e) {
-                console.error('Failed to load folders:', e);
-                folders = [];
+                let serverFile = index.files.find(s => s.id === file.id);
+                for (const version of getPendingVersions(file)) {
+                    const blob = await getLocalVersionBlob(file, version);
+                    if (!blob) break;
+                    // Too large: this version stays in the browser, the others still go up
+                    if (blob.size > maxUploadBytes) {
+                        if (version.versionId === getBlobId(file)) {
+                            file.localOnly = true;
+                        } else {
+                            file.versions.find(v => v.versionId === version.versionId).localOnly = true;
+                        }
+                        continue;
+                    }
+                    serverFile = await uploadFileToServer(file, version, blob, Boolean(serverFile));
+                    index.files = index.files.filter(s => s.id !== file.id).concat(serverFile);
+                    if (version.versionId === getBlobId(file)) {
+                        file.synced = true;
+                        console.log('✓ File uploaded to server:', file.name);
+                    } else {
+                        delete file.versions.find(v => v.versionId === version.versionId).synced;
+                    }
+                }
+            } catch (error) {
+                console.warn('Could not upload file', file.name, error.message);
             }
         }
         
-        currentFolder = null;
+        const serverFileIds = new Set(index.files.map(f => f.id));
+        const serverFolderIds = new Set(index.folders.map(f => f.id));
+        for (const file of uploadedFiles) {
+            if (file.synced && !serverFileIds.has(file.id)) {
+                deleteFileBlobs(file);
+            }
+        }
+        
+        // Files with versions that couldn't be uploaded, or that only exist in this browser,
+        // keep their local copy
+        const pendingIds = new Set(uploadedFiles
+            .filter(f => getPendingVersions(f).length > 0 || hasLocalOnlyVersions(f))
+            .map(f => f.id));
+        uploadedFiles = index.files.filter(f => !pendingIds.has(f.id)).map(toLocalFile)
+            .concat(uploadedFiles.filter(f => pendingIds.has(f.id)));
+        folders = index.folders.map(f => ({ ...f, synced: true }))
+            .concat(folders.filter(f => !f.synced && !serverFolderIds.has(f.id)));
+        if (currentFolder && !folders.some(f => f.id === currentFolder)) {
+            currentFolder = null;
+        }
+        
+        await saveFiles();
         renderBreadcrumb();
-        renderFilesList();
-    } catch (e) {
-        console.error('Error loading files:', e);
+    } catch (error) {
+        console.warn('File sync failed:', error.message);
+    } finally {
+        isSyncingFiles = false;
     }
 }
 
@@ -858,21 +3398,27 @@ async function saveFiles() {
     try {
         // Save folders to localStorage (small size)
         const foldersData = JSON.stringify(folders);
-        localStorage.setItem(FOLDERS_STORAGE_KEY, foldersData);
+        localStorage.setItem(userKey(FOLDERS_STORAGE_KEY), foldersData);
         
         // Save file metadata to localStorage (metadata only, no blob data)
         const filesMetadata = uploadedFiles.map(f => ({
             id: f.id,
             name: f.name,
             size: f.size,
+            bytes: f.bytes,
             uploadedAt: f.uploadedAt,
             type: f.type,
-            parentId: f.parentId
+            parentId: f.parentId,
+            versionId: f.versionId,
+            version: f.version,
+            versions: f.versions,
+            synced: f.synced,
+            localOnly: f.localOnly
         }));
-        localStorage.setItem(FILES_STORAGE_KEY, JSON.stringify(filesMetadata));
+        localStorage.setItem(userKey(FILES_STORAGE_KEY), JSON.stringify(filesMetadata));
         
         // Blobs are already saved to IndexedDB during upload (saveFileToIndexedDB)
-        // No need to re-save them here
+        // and sent to the server by syncFiles
         
         renderFilesList();
     } catch (e) {
@@ -1017,11 +3563,79 @@ async function migrateLegacyFile(fileId) {
     }
 }
 
+// The file's contents from this browser: legacy base64 metadata or the IndexedDB cache
+async function getLocalFileBlob(file) {
+    if (file.data && typeof file.data === 'string' && file.data.length > 0) {
+        console.log('Found legacy base64 data in metadata, converting...');
+        // Move it to IndexedDB in the background
+        migrateLegacyFile(file.id).catch(err => console.warn('Background migration failed:', err));
+        return base64toBlob(file.data, file.type || getMimeType(file.name));
+    }
+    
+    if (db) {
+        try {
+            return await getFileFromIndexedDB(getBlobId(file));
+        } catch (idbError) {
+            console.warn('IndexedDB fetch failed:', idbError.message);
+        }
+    }
+    return null;
+}
+
+// The file's contents, downloaded from the server and cached in IndexedDB when this
+// browser doesn't have them yet (uploaded from another device or after clearing site data)
+async function getFileBlob(file) {
+    const localBlob = await getLocalFileBlob(file);
+    if (localBlob) indexFileText(file, localBlob);
+    if (localBlob || !file.synced) return localBlob;
+    
+    console.log('Fetching file from server:', file.name);
+    const response = await fetch(`/api/files/${encodeURIComponent(file.id)}/content`);
+    if (!response.ok) {
+        throw new Error(response.status === 404 ? 'File not found on the server' : `HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    if (db) {
+        saveFileToIndexedDB(getBlobId(file), blob).catch(e => console.warn('Could not cache file:', e));
+    }
+    indexFileText(file, blob);
+    return blob;
+}
+
+// Contents of one version from this browser's cache, or null
+async function getLocalVersionBlob(file, version) {
+    if (version.versionId === getBlobId(file)) {
+        return getLocalFileBlob(file);
+    }
+    const cached = await storeTransaction(FILES_STORE, 'readonly', store => store.get(version.versionId)).catch(() => null);
+    return cached ? cached.data : null;
+}
+
+// Contents of one version, downloaded and cached when this browser doesn't have them
+async function getVersionBlob(file, version) {
+    if (version.versionId === getBlobId(file)) {
+        return getFileBlob(file);
+    }
+    
+    const localBlob = await getLocalVersionBlob(file, version);
+    if (localBlob || version.synced === false) return localBlob;
+    
+    const response = await fetch(`/api/files/${encodeURIComponent(file.id)}/versions/${encodeURIComponent(version.versionId)}/content`);
+    if (!response.ok) {
+        throw new Error(response.status === 404 ? 'Version not found on the server' : `HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    if (db) {
+        saveFileToIndexedDB(version.versionId, blob).catch(e => console.warn('Could not cache version:', e));
+    }
+    return blob;
+}
+
 function getStorageInfo() {
     try {
-        const filesData = localStorage.getItem(FILES_STORAGE_KEY) || '[]';
-        const sessionsData = localStorage.getItem(STORAGE_KEY) || '[]';
-        const foldersData = localStorage.getItem(FOLDERS_STORAGE_KEY) || '[]';
+        const filesData = localStorage.getItem(userKey(FILES_STORAGE_KEY)) || '[]';
+        const sessionsData = localStorage.getItem(userKey(STORAGE_KEY)) || '[]';
+        const foldersData = localStorage.getItem(userKey(FOLDERS_STORAGE_KEY)) || '[]';
         
         const totalSize = filesData.length + sessionsData.length + foldersData.length;
         const usagePercent = (totalSize / (50 * 1024 * 1024)) * 100; // Assuming 50MB quota
@@ -1067,7 +3681,10 @@ function handleFileSelect(e) {
 async function handleFiles(files) {
     let filesProcessed = 0;
     let successCount = 0;
+    let versionCount = 0;
     const totalFiles = files.length;
+    // Added before the server's limit was known; syncFiles may keep them local after all
+    const uncheckedFiles = [];
     
     for (let file of files) {
         console.log('Processing file:', file.name, 'Type:', file.type, 'Size:', file.size);
@@ -1090,17 +3707,11 @@ async function handleFiles(files) {
                 const blob = new Blob([fileData], { type: file.type });
                 
                 const fileId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-                
-                // Create file metadata (WITHOUT blob data - store separately in IndexedDB)
-                const fileObj = {
-                    id: fileId,
-                    name: file.name,
-                    size: formatFileSize(file.size),
-                    uploadedAt: new Date().toISOString(),
-                    type: file.type || getMimeType(file.name),
-                    parentId: currentFolder
-                    // NOTE: blob data NOT stored in metadata
-                };
+                const uploadedAt = new Date().toISOString();
+                const localOnly = maxUploadBytes !== null && file.size > maxUploadBytes;
+                if (localOnly) {
+                    alert(`"${file.name}" is larger than the server allows (${formatFileSize(maxUploadBytes)}). It is kept in this browser only.`);
+                }
                 
                 // Check if IndexedDB is initialized
                 if (!db) {
@@ -1112,16 +3723,53 @@ async function handleFiles(files) {
                 await saveFileToIndexedDB(fileId, blob);
                 console.log('File saved successfully:', fileId);
                 
-                // Add metadata to in-memory array
-                uploadedFiles.push(fileObj);
+                // The same name in the same folder is a new version of that file
+                let fileObj = uploadedFiles.find(f => f.name === file.name && (f.parentId || null) === (currentFolder || null));
+                if (fileObj) {
+                    await addFileVersion(fileObj, {
+                        versionId: fileId,
+                        bytes: file.size,
+                        type: file.type || getMimeType(file.name),
+                        uploadedAt,
+                        localOnly
+                    });
+                    versionCount++;
+                    console.log('File added as version', fileObj.version, 'of:', fileObj.name);
+                } else {
+                    // Create file metadata (WITHOUT blob data - store separately in IndexedDB)
+                    fileObj = {
+                        id: fileId,
+                        name: file.name,
+                        size: formatFileSize(file.size),
+                        bytes: file.size,
+                        uploadedAt,
+                        type: file.type || getMimeType(file.name),
+                        parentId: currentFolder,
+                        versionId: fileId,
+                        version: 1,
+                        versions: [],
+                        synced: false, // Set once syncFiles has uploaded it
+                        localOnly
+                        // NOTE: blob data NOT stored in metadata
+                    };
+                    uploadedFiles.push(fileObj);
+                    console.log('File added to metadata:', fileObj.name, 'ID:', fileObj.id);
+                }
+                if (maxUploadBytes === null) uncheckedFiles.push(fileObj);
+                indexFileText(fileObj, blob);
                 successCount++;
-                console.log('File added to metadata:', fileObj.name, 'ID:', fileObj.id);
                 filesProcessed++;
                 
                 if (filesProcessed === totalFiles) {
                     if (successCount > 0) {
                         await saveFiles();
-                        alert(`Successfully uploaded ${successCount} file(s)`);
+                        await syncFiles();
+                        const pending = uploadedFiles.filter(f => !f.synced && !f.localOnly).length;
+                        const tooLarge = uncheckedFiles.filter(f => f.localOnly).length;
+                        alert(`Successfully uploaded ${successCount} file(s)` +
+                            (versionCount > 0 ? `\n\n${versionCount} of them replaced a file with the same name; the older version is kept in its version history.` : '') +
+                            (tooLarge > 0 ? `\n\n${tooLarge} file(s) are larger than the server allows (${formatFileSize(maxUploadBytes)}) and are kept in this browser only.` : '') +
+                            (pending > 0 ? `\n\n${pending} file(s) are saved in this browser and will be sent to the server when you are online.` : ''));
                     }
                 }
             } catch (error) {
@@ -1205,6 +3853,9 @@ function renderFilesList() {
                 <div class="file-name-cell">
                     <span class="file-icon">${icon}</span>
                     <span class="file-name">${file.name}</span>
+                    ${file.version > 1 ? `<span class="file-version-badge" title="Version history" onclick="openVersionHistory('${file.id}'); event.stopPropagation();">v${file.version}</span>` : ''}
+                    ${file.localOnly ? '<span class="file-sync-badge" title="Too large for the server">This browser only</span>'
+                        : !file.synced ? '<span class="file-sync-badge" title="Waiting to be uploaded">⏳ Not synced</span>' : ''}
                 </div>
                 <div class="file-size">${file.size}</div>
                 <div class="file-date">${date}</div>
@@ -1275,36 +3926,7 @@ async function previewFile(fileId) {
         try {
             console.log('Attempting to preview file:', {id: file.id, name: file.name, ext: ext});
             
-            let blob = null;
-            
-            // Approach 1: Check if file has legacy base64 data in metadata
-            if (file.data && typeof file.data === 'string' && file.data.length > 0) {
-                console.log('Found legacy base64 data in metadata, converting...');
-                const mimeType = file.type || getMimeType(file.name);
-                blob = base64toBlob(file.data, mimeType);
-                console.log('Legacy data converted to blob, size:', blob.size);
-                
-                // Attempt to migrate to IndexedDB in background
-                migrateLegacyFile(fileId).then(success => {
-                    if (success) {
-                        console.log('Background migration completed for:', fileId);
-                    }
-                }).catch(err => {
-                    console.warn('Background migration failed:', err);
-                });
-            }
-            
-            // Approach 2: Try to fetch from IndexedDB
-            if (!blob && db) {
-                console.log('Attempting to fetch from IndexedDB...');
-                try {
-                    blob = await getFileFromIndexedDB(file.id);
-                    console.log('Successfully retrieved from IndexedDB, size:', blob.size);
-                } catch (idbError) {
-                    console.warn('IndexedDB fetch failed:', idbError.message);
-                    // Don't fail yet, blob might be available from approach 1
-                }
-            }
+            const blob = await getFileBlob(file);
             
             // If still no blob, file is genuinely missing
             if (!blob) {
@@ -1591,24 +4213,7 @@ async function downloadFile(fileId) {
     try {
         console.log('Downloading file:', file.name);
         
-        let blob = null;
-        
-        // Approach 1: Check if file has legacy base64 data in metadata
-        if (file.data && typeof file.data === 'string' && file.data.length > 0) {
-            console.log('Converting legacy base64 data for download...');
-            const mimeType = file.type || getMimeType(file.name);
-            blob = base64toBlob(file.data, mimeType);
-        }
-        
-        // Approach 2: Try to fetch from IndexedDB
-        if (!blob && db) {
-            try {
-                console.log('Fetching from IndexedDB for download...');
-                blob = await getFileFromIndexedDB(fileId);
-            } catch (idbError) {
-                console.warn('IndexedDB fetch failed:', idbError.message);
-            }
-        }
+        const blob = await getFileBlob(file);
         
         if (!blob) {
             alert('Could not retrieve file data. Please try again or re-upload the file.');
@@ -1633,6 +4238,161 @@ async function downloadFile(fileId) {
     }
 }
 
+async function deleteFile(fileId) {
+    const file = uploadedFiles.find(f => f.id === fileId);
+    if (!file) return;
+    const linked = getLinkedSessions(fileId).length;
+    const warning = linked > 0 ? ` It is linked to ${linked} session(s).` : '';
+    if (!confirm(`Delete "${file.name}"?${warning} This cannot be undone.`)) return;
+    
+    if (file.synced) {
+        try {
+            await apiRequest('DELETE', `/api/files/${encodeURIComponent(fileId)}`);
+        } catch (error) {
+            alert('Could not delete the file: ' + error.message);
+            return;
+        }
+    }
+    
+    uploadedFiles = uploadedFiles.filter(f => f.id !== fileId);
+    selectedFiles.delete(fileId);
+    deleteFileBlobs(file);
+    removeFromSearchIndex(fileId);
+    saveFiles();
+}
+
+// Version history
+function openVersionHistory(fileId) {
+    if (!uploadedFiles.some(f => f.id === fileId)) return;
+    versionHistoryFileId = fileId;
+    renderVersionHistory();
+    document.getElementById('versionsModal').style.display = 'flex';
+}
+
+function closeVersionHistory() {
+    document.getElementById('versionsModal').style.display = 'none';
+    versionHistoryFileId = null;
+}
+
+function renderVersionHistory() {
+    const file = uploadedFiles.find(f => f.id === versionHistoryFileId);
+    if (!file) {
+        closeVersionHistory();
+        return;
+    }
+    
+    document.getElementById('versionsTitle').textContent = `Versions of ${file.name}`;
+    const currentId = getBlobId(file);
+    const versions = getFileVersions(file).sort((a, b) => b.version - a.version);
+    
+    document.getElementById('versionsList').innerHTML = versions.map(version => {
+        const isCurrent = version.versionId === currentId;
+        const date = new Date(version.uploadedAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        return `
+            <div class="version-item ${isCurrent ? 'current' : ''}">
+                <div class="version-info">
+                    <div class="version-label">Version ${version.version}${isCurrent ? ' <span class="version-current">Current</span>' : ''}</div>
+                    <div class="version-meta">${date} · ${version.bytes !== undefined ? formatFileSize(version.bytes) : '-'}${version.synced === false ? ' · ⏳ Not synced' : ''}</div>
+                </div>
+                <div class="file-actions">
+                    <button class="file-btn preview" onclick="previewVersion('${version.versionId}')">View</button>
+                    <button class="file-btn download" onclick="downloadVersion('${version.versionId}')" title="Download this version">📥</button>
+                    ${isCurrent ? '' : `<button class="file-btn" onclick="restoreVersion('${version.versionId}')">Restore</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Name a version is downloaded or previewed under, e.g. "model (v2).ifc"
+function getVersionFileName(file, version) {
+    const dot = file.name.lastIndexOf('.');
+    const base = dot > 0 ? file.name.substring(0, dot) : file.name;
+    const extension = dot > 0 ? file.name.substring(dot) : '';
+    return `${base} (v${version.version})${extension}`;
+}
+
+async function loadVersion(versionId) {
+    const file = uploadedFiles.find(f => f.id === versionHistoryFileId);
+    const version = file && getFileVersions(file).find(v => v.versionId === versionId);
+    if (!version) return null;
+    
+    const blob = await getVersionBlob(file, version);
+    if (!blob) {
+        alert('The contents of this version are not available in this browser.');
+        return null;
+    }
+    return { file, version, blob };
+}
+
+async function previewVersion(versionId) {
+    try {
+        const loaded = await loadVersion(versionId);
+        if (!loaded) return;
+        
+        const ext = loaded.file.name.split('.').pop().toLowerCase();
+        if (!['pdf', 'docx', 'doc', 'xlsx', 'xls', 'txt', 'jpg', 'jpeg', 'png', 'gif'].includes(ext)) {
+            alert('Preview not available for this file type');
+            return;
+        }
+        openPreview(getVersionFileName(loaded.file, loaded.version), loaded.blob, ext);
+    } catch (error) {
+        console.error('Error loading version:', error);
+        alert('Could not load this version: ' + error.message);
+    }
+}
+
+async function downloadVersion(versionId) {
+    try {
+        const loaded = await loadVersion(versionId);
+        if (!loaded) return;
+        
+        const url = URL.createObjectURL(loaded.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getVersionFileName(loaded.file, loaded.version);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Download error:', error);
+        alert('Error downloading version: ' + error.message);
+    }
+}
+
+// Make an older version current again. Its number stays the same, so the
+// history keeps showing which revision was handed in when.
+async function restoreVersion(versionId) {
+    const file = uploadedFiles.find(f => f.id === versionHistoryFileId);
+    const version = file && (file.versions || []).find(v => v.versionId === versionId);
+    if (!version) return;
+    
+    if (!file.synced || getPendingVersions(file).length > 0) {
+        alert('This file has versions that are not uploaded yet. Try again once it is synced.');
+        return;
+    }
+    if (!confirm(`Make version ${version.version} the current version of "${file.name}"? Newer versions stay in the history.`)) return;
+    
+    try {
+        const { file: saved } = await apiRequest('POST',
+            `/api/files/${encodeURIComponent(file.id)}/versions/${encodeURIComponent(versionId)}/restore`);
+        const restored = toLocalFile(saved);
+        uploadedFiles = uploadedFiles.map(f => f.id === restored.id ? restored : f);
+        await saveFiles();
+        renderVersionHistory();
+        indexCachedFiles();
+    } catch (error) {
+        alert('Could not restore the version: ' + error.message);
+    }
+}
+
 // Right-click context menu for files
 function showFileContextMenu(event, fileId) {
     event.preventDefault();
@@ -1653,6 +4413,15 @@ function showFileContextMenu(event, fileId) {
     menu.style.left = event.pageX + 'px';
     menu.style.zIndex = '10000';
     
+    const linkedSessions = getLinkedSessions(fileId);
+    const linkedHtml = linkedSessions.length > 0
+        ? linkedSessions.map(s => `
+            <div class="context-menu-item context-menu-session" onclick="openSessionDay('${s.date}'); document.getElementById('fileContextMenu').remove();">
+                📅 ${s.date} · ${formatSessionRange(s)}
+            </div>
+        `).join('')
+        : '<div class="context-menu-empty">Not linked to any session</div>';
+    
     menu.innerHTML = `
         <div class="context-menu-item" onclick="previewFile('${fileId}'); document.getElementById('fileContextMenu').remove();">
             📖 View
@@ -1660,9 +4429,14 @@ function showFileContextMenu(event, fileId) {
         <div class="context-menu-item" onclick="downloadFile('${fileId}'); document.getElementById('fileContextMenu').remove();">
             📥 Download
         </div>
+        <div class="context-menu-item" onclick="openVersionHistory('${fileId}'); document.getElementById('fileContextMenu').remove();">
+            🕘 Version history (${getFileVersions(file).length})
+        </div>
         <div class="context-menu-item" onclick="deleteFile('${fileId}'); document.getElementById('fileContextMenu').remove();">
             🗑️ Delete
         </div>
+        <div class="context-menu-heading">🔗 Linked sessions</div>
+        ${linkedHtml}
     `;
     
     document.body.appendChild(menu);
@@ -1729,36 +4503,51 @@ function createFolder() {
         id: 'folder_' + Date.now(),
         name: name,
         parentId: currentFolder,
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        synced: false
     };
     
     folders.push(folder);
-    saveFiles();
+    saveFiles().then(syncFiles);
     document.getElementById('createFolderModal').style.display = 'none';
 }
 
-function deleteFolder(folderId) {
+async function deleteFolder(folderId) {
     if (confirm('Delete this folder and all its contents? This cannot be undone.')) {
-        // Recursively delete all items in folder
-        const deleteContents = (parentId) => {
-            // Delete subfolders
-            folders = folders.filter(f => {
-                if (f.parentId === parentId) {
-                    deleteContents(f.id); // Delete contents of subfolder
-                    return false;
+        const folder = folders.find(f => f.id === folderId);
+        if (folder && folder.synced) {
+            try {
+                await apiRequest('DELETE', `/api/folders/${encodeURIComponent(folderId)}`);
+            } catch (error) {
+                alert('Could not delete the folder: ' + error.message);
+                return;
+            }
+        }
+        
+        // Collect the folder and everything below it
+        const removedIds = new Set([folderId]);
+        let added = true;
+        while (added) {
+            added = false;
+            for (const f of folders) {
+                if (!removedIds.has(f.id) && removedIds.has(f.parentId)) {
+                    removedIds.add(f.id);
+                    added = true;
                 }
-                return true;
-            });
-            
-            // Delete files and clean up from IndexedDB
-            const filesToDelete = uploadedFiles.filter(f => f.parentId === parentId);
-            for (const file of filesToDelete) {
-                deleteFileFromIndexedDB(file.id).catch(e => console.error('Error deleting from IndexedDB:', e));
             }
-            uploadedFiles = uploadedFiles.filter(f => f.parentId !== parentId);
-        };
+        }
+        folders = folders.filter(f => !removedIds.has(f.id));
         
-        deleteContents(folderId);
+        // Delete files and clean up from IndexedDB
+        const filesToDelete = uploadedFiles.filter(f => removedIds.has(f.parentId));
+        for (const file of filesToDelete) {
+            deleteFileBlobs(file);
+            removeFromSearchIndex(file.id);
+        }
+        uploadedFiles = uploadedFiles.filter(f => !removedIds.has(f.parentId));
+        if (removedIds.has(currentFolder)) {
+            navigateToFolder(null);
+        }
         saveFiles();
     }
 }
@@ -1851,20 +4640,24 @@ function handleDropOnManager(e) {
     }
 }
 
-function moveItem(itemId, itemType, targetFolderId) {
-    if (itemType === 'file') {
-        const file = uploadedFiles.find(f => f.id === itemId);
-        if (file) {
-            file.parentId = targetFolderId;
-            saveFiles();
-        }
-    } else if (itemType === 'folder') {
-        const folder = folders.find(f => f.id === itemId);
-        if (folder && targetFolderId !== itemId) { // Prevent moving to self
-            folder.parentId = targetFolderId;
-            saveFiles();
+async function moveItem(itemId, itemType, targetFolderId) {
+    const item = itemType === 'file'
+        ? uploadedFiles.find(f => f.id === itemId)
+        : folders.find(f => f.id === itemId);
+    if (!item || (itemType === 'folder' && targetFolderId === itemId)) return; // Prevent moving to self
+    
+    // Items not on the server yet are created there in their new place by syncFiles
+    if (item.synced) {
+        try {
+            await apiRequest('PUT', `/api/${itemType === 'file' ? 'files' : 'folders'}/${encodeURIComponent(itemId)}`, { parentId: targetFolderId });
+        } catch (error) {
+            alert(`Could not move "${item.name}": ${error.message}`);
+            return;
         }
     }
+    
+    item.parentId = targetFolderId;
+    saveFiles();
 }
 
 function moveToSelected() {
@@ -1885,7 +4678,7 @@ function moveToSelected() {
     modal.style.display = 'flex';
 }
 
-function confirmMove() {
+async function confirmMove() {
     const targetRadio = document.querySelector('input[name="targetFolder"]:checked');
     if (!targetRadio) {
         alert('Please select a destination folder');
@@ -1894,14 +4687,14 @@ function confirmMove() {
     
     const targetId = targetRadio.value === 'home' ? null : targetRadio.value;
     
-    selectedFiles.forEach(itemId => {
+    for (const itemId of selectedFiles) {
         // Check if it's a file or folder
         if (uploadedFiles.find(f => f.id === itemId)) {
-            moveItem(itemId, 'file', targetId);
+            await moveItem(itemId, 'file', targetId);
         } else if (folders.find(f => f.id === itemId)) {
-            moveItem(itemId, 'folder', targetId);
+            await moveItem(itemId, 'folder', targetId);
         }
-    });
+    }
     
     selectedFiles.clear();
     document.getElementById('moveFolderModal').style.display = 'none';
@@ -1909,5 +4702,307 @@ function confirmMove() {
 }
 
 
+// Search
+// One box in the header finds files by name and by the text inside PDF, Word, Excel
+// and text documents, and sessions by note, category and date. Text is extracted in
+// the browser with the preview libraries and kept in the SEARCH_STORE, so each file
+// is read once: on upload, when it is opened, or at startup if it is cached here.
+const SEARCHABLE_EXTENSIONS = ['pdf', 'docx', 'xlsx', 'xls', 'txt'];
+const MAX_INDEXED_CHARS = 200000; // Per file, so one huge spreadsheet can't fill the browser's storage
+const MAX_INDEXED_PDF_PAGES = 50;
+const MAX_SEARCH_RESULTS = 20;
+
+let fileTexts = new Map(); // fileId -> extracted text, '' when the document had none
+let indexedVersions = new Map(); // fileId -> versionId the text was extracted from
+let normalizedTexts = new Map(); // fileId -> normalizeSearchText(text), built on first search
+let indexingFiles = new Set();
+let searchResults = [];
+let searchDebounce = null;
+
+function isSearchableFile(file) {
+    return SEARCHABLE_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+}
+
+async function loadSearchIndex() {
+    if (!db) return;
+    try {
+        const entries = await storeTransaction(SEARCH_STORE, 'readonly', store => store.getAll());
+        fileTexts = new Map(entries.map(entry => [entry.id, entry.text]));
+        indexedVersions = new Map(entries.map(entry => [entry.id, entry.versionId || entry.id]));
+        console.log('✓ Search index loaded:', fileTexts.size, 'document(s)');
+    } catch (error) {
+        console.error('Failed to load search index:', error);
+    }
+}
+
+// Plain text of a document, or null when the library it needs hasn't loaded
+async function extractText(blob, ext) {
+    if (ext === 'txt') {
+        return blob.text();
+    }
+    if (ext === 'pdf') {
+        if (!window.pdfjsLib) return null;
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+        const pages = [];
+        for (let i = 1; i <= Math.min(pdf.numPages, MAX_INDEXED_PDF_PAGES); i++) {
+            const content = await (await pdf.getPage(i)).getTextContent();
+            pages.push(content.items.map(item => item.str).join(' '));
+        }
+        return pages.join('\n');
+    }
+    if (ext === 'docx') {
+        if (!window.mammoth) return null;
+        const result = await mammoth.extractRawText({ arrayBuffer: await blob.arrayBuffer() });
+        return result.value;
+    }
+    if (ext === 'xlsx' || ext === 'xls') {
+        if (!window.XLSX) return null;
+        const workbook = XLSX.read(await blob.arrayBuffer(), { type: 'array' });
+        return workbook.SheetNames.map(name => XLSX.utils.sheet_to_csv(workbook.Sheets[name])).join('\n');
+    }
+    return null;
+}
+
+// Whether the search index holds the text of the file's current version
+function isIndexed(file) {
+    return fileTexts.has(file.id) && indexedVersions.get(file.id) === getBlobId(file);
+}
+
+// Add a file to the search index from contents that are already at hand
+async function indexFileText(file, blob) {
+    const versionId = getBlobId(file);
+    if (!isSearchableFile(file) || isIndexed(file) || indexingFiles.has(versionId)) return;
+    
+    indexingFiles.add(versionId);
+    try {
+        const text = await extractText(blob, file.name.split('.').pop().toLowerCase());
+        if (text === null) return;
+        
+        const clipped = text.normalize('NFC').replace(/\s+/g, ' ').trim().substring(0, MAX_INDEXED_CHARS);
+        fileTexts.set(file.id, clipped);
+        indexedVersions.set(file.id, versionId);
+        normalizedTexts.delete(file.id);
+        if (db) {
+            await storeTransaction(SEARCH_STORE, 'readwrite', store => store.put({ id: file.id, versionId, text: clipped }));
+        }
+        console.log('✓ Indexed for search:', file.name);
+    } catch (error) {
+        // Damaged or password-protected documents are still found by name
+        console.warn('Could not extract text from', file.name, error);
+        fileTexts.set(file.id, '');
+        indexedVersions.set(file.id, versionId);
+    } finally {
+        indexingFiles.delete(versionId);
+    }
+}
+
+function removeFromSearchIndex(fileId) {
+    fileTexts.delete(fileId);
+    indexedVersions.delete(fileId);
+    normalizedTexts.delete(fileId);
+    if (db) {
+        storeTransaction(SEARCH_STORE, 'readwrite', store => store.delete(fileId))
+            .catch(e => console.error('Error removing search text:', e));
+    }
+}
+
+// Index documents whose contents are cached in this browser, one at a time, and
+// forget the text of files that were deleted on another device
+async function indexCachedFiles() {
+    if (!db) return;
+    for (const file of [...uploadedFiles]) {
+        if (!isSearchableFile(file) || isIndexed(file)) continue;
+        // Read the cache directly: files that only exist on the server are skipped without errors
+        const cached = await storeTransaction(FILES_STORE, 'readonly', store => store.get(getBlobId(file))).catch(() => null);
+        if (cached && cached.data) await indexFileText(file, cached.data);
+    }
+    
+    const fileIds = new Set(uploadedFiles.map(f => f.id));
+    [...fileTexts.keys()].filter(id => !fileIds.has(id)).forEach(removeFromSearchIndex);
+}
+
+// Lower case without accents, so "cafe" finds "Café". Keeps the length of NFC text,
+// which lets match positions be used on the original text.
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getFolderPath(folderId) {
+    const names = [];
+    let folder = folders.find(f => f.id === folderId);
+    while (folder) {
+        names.unshift(folder.name);
+        folder = folders.find(f => f.id === folder.parentId);
+    }
+    return ['Home', ...names].join(' / ');
+}
+
+// Occurrences of `term` in already normalized text; matches at the start of a word count double
+function scoreTerm(normalized, term) {
+    let score = 0;
+    let index = normalized.indexOf(term);
+    for (let hits = 0; index !== -1 && hits < 5; hits++) {
+        score += index === 0 || !/[a-z0-9]/.test(normalized[index - 1]) ? 2 : 1;
+        index = normalized.indexOf(term, index + term.length);
+    }
+    return score;
+}
+
+// Rank files and sessions against the query. Every term has to match somewhere;
+// matches in a file name or session note weigh more than ones deep inside a document.
+function searchAll(query) {
+    const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    
+    const documents = [
+        ...uploadedFiles.map(file => {
+            if (fileTexts.has(file.id) && !normalizedTexts.has(file.id)) {
+                normalizedTexts.set(file.id, normalizeSearchText(fileTexts.get(file.id)));
+            }
+            return {
+                type: 'file',
+                id: file.id,
+                title: file.name,
+                meta: getFolderPath(file.parentId),
+                fields: [
+                    { text: file.name, weight: 10 },
+                    { text: fileTexts.get(file.id) || '', normalized: normalizedTexts.get(file.id) || '', weight: 1, snippet: true }
+                ]
+            };
+        }),
+        ...sessions.map(session => ({
+            type: 'session',
+            id: session.id,
+            date: session.date,
+            title: `${session.date} · ${formatSessionRange(session)}`,
+            meta: `${session.category || 'Other'} · ${(session.netMinutes / 60).toFixed(1)}h`,
+            fields: [
+                { text: session.note || '', weight: 5, snippet: true },
+                { text: session.category || '', weight: 3 },
+                { text: session.date, weight: 3 }
+            ]
+        }))
+    ];
+    
+    const results = [];
+    documents.forEach(doc => {
+        doc.fields.forEach(field => {
+            if (field.normalized === undefined) field.normalized = normalizeSearchText(field.text);
+        });
+        
+        let score = 0;
+        for (const term of terms) {
+            const termScore = doc.fields.reduce((sum, field) => sum + field.weight * scoreTerm(field.normalized, term), 0);
+            if (termScore === 0) return;
+            score += termScore;
+        }
+        
+        const snippetField = doc.fields.find(field => field.snippet && terms.some(term => field.normalized.includes(term)));
+        results.push({ ...doc, score, snippet: snippetField ? makeSnippet(snippetField, terms) : '' });
+    });
+    
+    return results.sort((a, b) => b.score - a.score).slice(0, MAX_SEARCH_RESULTS);
+}
+
+// About 160 characters of text around the first match
+function makeSnippet(field, terms) {
+    const first = Math.min(...terms.map(term => field.normalized.indexOf(term)).filter(index => index !== -1));
+    const start = Math.max(0, first - 60);
+    const end = Math.min(field.text.length, first + 100);
+    return (start > 0 ? '…' : '') + field.text.substring(start, end) + (end < field.text.length ? '…' : '');
+}
+
+// Escape `text` and wrap the search terms in <mark>
+function highlightTerms(text, terms) {
+    const normalized = normalizeSearchText(text);
+    const marked = new Array(text.length).fill(false);
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            marked.fill(true, index, index + term.length);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+    
+    let html = '';
+    let i = 0;
+    while (i < text.length) {
+        let j = i;
+        while (j < text.length && marked[j] === marked[i]) j++;
+        const part = escapeHtml(text.substring(i, j));
+        html += marked[i] ? `<mark>${part}</mark>` : part;
+        i = j;
+    }
+    return html;
+}
+
+function setupSearch() {
+    const input = document.getElementById('globalSearch');
+    if (!input) return;
+    
+    input.addEventListener('input', () => {
+        clearTimeout(searchDebounce);
+        searchDebounce = setTimeout(() => renderSearchResults(input.value), 150);
+    });
+    input.addEventListener('focus', () => {
+        if (input.value.trim()) renderSearchResults(input.value);
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && searchResults.length > 0) {
+            e.preventDefault();
+            openSearchResult(0);
+        } else if (e.key === 'Escape') {
+            closeSearchResults();
+            input.blur();
+        }
+    });
+    
+    // Close the results when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.global-search')) closeSearchResults();
+    });
+}
+
+function renderSearchResults(query) {
+    const container = document.getElementById('searchResults');
+    if (!query.trim()) {
+        closeSearchResults();
+        return;
+    }
+    
+    searchResults = searchAll(query);
+    const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    const pending = uploadedFiles.filter(f => isSearchableFile(f) && !isIndexed(f)).length;
+    
+    container.innerHTML = (searchResults.length === 0
+        ? '<div class="search-empty">No matches</div>'
+        : searchResults.map((result, index) => `
+            <div class="search-result" onclick="openSearchResult(${index})">
+                <span class="search-result-icon">${result.type === 'file' ? '📄' : '📅'}</span>
+                <div class="search-result-body">
+                    <div class="search-result-title">${highlightTerms(result.title, terms)}</div>
+                    <div class="search-result-meta">${escapeHtml(result.meta)}</div>
+                    ${result.snippet ? `<div class="search-result-snippet">${highlightTerms(result.snippet, terms)}</div>` : ''}
+                </div>
+            </div>
+        `).join('')) +
+        (pending > 0 ? `<div class="search-empty">${pending} document(s) are only searched by name until they are opened on this device</div>` : '');
+    container.style.display = 'block';
+}
 
+function closeSearchResults() {
+    const container = document.getElementById('searchResults');
+    if (container) container.style.display = 'none';
+}
 
+function openSearchResult(index) {
+    const result = searchResults[index];
+    if (!result) return;
+    
+    closeSearchResults();
+    if (result.type === 'file') {
+        previewFile(result.id);
+    } else {
+        openSessionDay(result.date);
+    }
+}
@@ -1,5 +1,8 @@
 // Authentication Handler
 
+// Challenge from the password step, sent along with the 2FA code
+let twoFactorChallenge = null;
+
 // Check if user is already logged in
 async function checkAuthStatus() {
   try {
@@ -24,23 +27,69 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (isLoggedIn) return;
   
   // Setup toggle buttons
-  document.getElementById('toggle-register').addEventListener('click', () => {
-    document.getElementById('login-form').classList.remove('active');
-    document.getElementById('register-form').classList.add('active');
+  document.getElementById('toggle-register').addEventListener('click', () => showForm('register-form'));
+  document.getElementById('toggle-login').addEventListener('click', () => showForm('login-form'));
+  document.getElementById('toggle-forgot').addEventListener('click', () => {
+    document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+    showForm('forgot-form');
   });
-  
-  document.getElementById('toggle-login').addEventListener('click', () => {
-    document.getElementById('register-form').classList.remove('active');
-    document.getElementById('login-form').classList.add('active');
+  document.querySelectorAll('.show-login').forEach(btn => {
+    btn.addEventListener('click', () => showForm('login-form'));
   });
   
   // Setup login form
   document.getElementById('loginForm').addEventListener('submit', handleLogin);
+  document.getElementById('resend-verification').addEventListener('click', handleResendVerification);
+  document.getElementById('twofaForm').addEventListener('submit', handleTwoFactor);
   
   // Setup register form
   document.getElementById('registerForm').addEventListener('submit', handleRegister);
+  
+  // Setup password reset forms
+  document.getElementById('forgotForm').addEventListener('submit', handleForgot);
+  document.getElementById('resetForm').addEventListener('submit', handleReset);
+  
+  // Links from emails: ?verified=1|0 after verification, ?reset=<token> to choose a new password
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('verified') === '1') {
+    document.getElementById('login-success').innerHTML = '✓ Email verified. You can now log in.';
+  } else if (params.get('verified') === '0') {
+    document.getElementById('login-error').innerHTML = 'This verification link is invalid or has expired. Log in to request a new one.';
+  } else if (params.get('reset')) {
+    showForm('reset-form');
+  }
 });
 
+// Count down a 429 lockout in the error message, keeping the submit button disabled until it ends
+function startRetryCountdown(response, result, submitBtn, errorDiv) {
+  const seconds = parseInt(response.headers.get('Retry-After'), 10) || result.retryAfter || 60;
+  const retryAt = Date.now() + seconds * 1000;
+  let timer = null;
+  
+  const tick = () => {
+    const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(timer);
+      delete submitBtn.dataset.retryAt;
+      submitBtn.disabled = false;
+      errorDiv.innerHTML = '';
+      return;
+    }
+    const wait = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    errorDiv.innerHTML = `Too many attempts. Try again in ${wait}`;
+  };
+  
+  submitBtn.dataset.retryAt = retryAt;
+  tick();
+  timer = setInterval(tick, 1000);
+}
+
+function showForm(formId) {
+  document.querySelectorAll('.auth-form').forEach(form => {
+    form.classList.toggle('active', form.id === formId);
+  });
+}
+
 // Handle login
 async function handleLogin(e) {
   e.preventDefault();
@@ -79,13 +128,30 @@ async function handleLogin(e) {
     
     const result = await response.json();
     
+    if (response.status === 429) {
+      startRetryCountdown(response, result, submitBtn, errorDiv);
+      return;
+    }
+    
     if (!response.ok) {
       errorDiv.innerHTML = result.message || 'Login failed';
+      document.getElementById('resend-verification').style.display =
+        result.code === 'email_unverified' ? 'block' : 'none';
       return;
     }
     
-    // Login successful
-    localStorage.setItem('token', result.token);
+    if (result.twoFactorRequired) {
+      twoFactorChallenge = result.challenge;
+      document.getElementById('twofa-code').value = '';
+      document.getElementById('twofa-error').innerHTML = '';
+      showForm('twofa-form');
+      document.getElementById('twofa-code').focus();
+      return;
+    }
+    
+    // Login successful. The tokens live in httpOnly cookies only; drop any
+    // token an older version kept in localStorage
+    localStorage.removeItem('token');
     console.log('✓ Login successful');
     
     // Redirect to main app
@@ -97,7 +163,76 @@ async function handleLogin(e) {
     console.error('Login error:', error);
     errorDiv.innerHTML = 'Connection error. Please try again.';
   } finally {
-    submitBtn.disabled = false;
+    submitBtn.disabled = Boolean(submitBtn.dataset.retryAt);
+    submitText.style.display = 'inline';
+    spinner.style.display = 'none';
+  }
+}
+
+// Handle the 2FA code step of the login
+async function handleTwoFactor(e) {
+  e.preventDefault();
+  
+  const code = document.getElementById('twofa-code').value.trim();
+  
+  const submitBtn = document.getElementById('twofa-submit');
+  const spinner = submitBtn.querySelector('.spinner');
+  const submitText = submitBtn.querySelector('span:first-child');
+  const errorDiv = document.getElementById('twofa-error');
+  
+  errorDiv.innerHTML = '';
+  
+  if (!code) {
+    errorDiv.innerHTML = 'Code required';
+    return;
+  }
+  
+  // Show loading state
+  submitBtn.disabled = true;
+  submitText.style.display = 'none';
+  spinner.style.display = 'inline-block';
+  
+  try {
+    const response = await fetch('/api/auth/2fa', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ challenge: twoFactorChallenge, code })
+    });
+    
+    const result = await response.json();
+    
+    if (response.status === 429) {
+      startRetryCountdown(response, result, submitBtn, errorDiv);
+      return;
+    }
+    
+    if (result.code === 'challenge_expired') {
+      twoFactorChallenge = null;
+      showForm('login-form');
+      document.getElementById('login-error').innerHTML = result.message;
+      return;
+    }
+    
+    if (!response.ok) {
+      errorDiv.innerHTML = result.message || 'Verification failed';
+      return;
+    }
+    
+    localStorage.removeItem('token');
+    console.log('✓ Login successful');
+    
+    if (result.recoveryCodesLeft <= 2) {
+      alert(`You have ${result.recoveryCodesLeft} recovery codes left. Create new ones on the Account page.`);
+    }
+    
+    window.location.href = '/';
+  } catch (error) {
+    console.error('2FA error:', error);
+    errorDiv.innerHTML = 'Connection error. Please try again.';
+  } finally {
+    submitBtn.disabled = Boolean(submitBtn.dataset.retryAt);
     submitText.style.display = 'inline';
     spinner.style.display = 'none';
   }
@@ -184,13 +319,18 @@ async function handleRegister(e) {
     
     const result = await response.json();
     
+    if (response.status === 429) {
+      startRetryCountdown(response, result, submitBtn, errorDiv);
+      return;
+    }
+    
     if (!response.ok) {
       errorDiv.innerHTML = result.message || 'Registration failed';
       return;
     }
     
     // Registration successful
-    successDiv.innerHTML = '✓ Account created! Switching to login...';
+    successDiv.innerHTML = '✓ ' + (result.message || 'Account created!') + ' Switching to login...';
     console.log('✓ Registration successful');
     
     // Clear form
@@ -198,15 +338,165 @@ async function handleRegister(e) {
     
     // Switch to login after 2 seconds
     setTimeout(() => {
-      document.getElementById('register-form').classList.remove('active');
-      document.getElementById('login-form').classList.add('active');
+      showForm('login-form');
       document.getElementById('login-email').value = email;
       document.getElementById('login-email').focus();
-    }, 1500);
+    }, 3000);
     
   } catch (error) {
     console.error('Registration error:', error);
     errorDiv.innerHTML = 'Connection error. Please try again.';
+  } finally {
+    submitBtn.disabled = Boolean(submitBtn.dataset.retryAt);
+    submitText.style.display = 'inline';
+    spinner.style.display = 'none';
+  }
+}
+
+// Resend the verification email for the address in the login form
+async function handleResendVerification() {
+  const email = document.getElementById('login-email').value.trim();
+  const errorDiv = document.getElementById('login-error');
+  const successDiv = document.getElementById('login-success');
+  
+  errorDiv.innerHTML = '';
+  successDiv.innerHTML = '';
+  
+  try {
+    const response = await fetch('/api/auth/verify/resend', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email })
+    });
+    
+    const result = await response.json();
+    
+    if (!response.ok) {
+      errorDiv.innerHTML = result.message || 'Could not send the email';
+      return;
+    }
+    
+    successDiv.innerHTML = '✓ ' + result.message;
+    document.getElementById('resend-verification').style.display = 'none';
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    errorDiv.innerHTML = 'Connection error. Please try again.';
+  }
+}
+
+// Handle forgot password
+async function handleForgot(e) {
+  e.preventDefault();
+  
+  const email = document.getElementById('forgot-email').value.trim();
+  
+  const submitBtn = document.getElementById('forgot-submit');
+  const spinner = submitBtn.querySelector('.spinner');
+  const submitText = submitBtn.querySelector('span:first-child');
+  const errorDiv = document.getElementById('forgot-error');
+  const successDiv = document.getElementById('forgot-success');
+  
+  // Clear messages
+  errorDiv.innerHTML = '';
+  successDiv.innerHTML = '';
+  
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errorDiv.innerHTML = 'Invalid email address';
+    return;
+  }
+  
+  // Show loading state
+  submitBtn.disabled = true;
+  submitText.style.display = 'none';
+  spinner.style.display = 'inline-block';
+  
+  try {
+    const response = await fetch('/api/auth/forgot', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email })
+    });
+    
+    const result = await response.json();
+    
+    if (!response.ok) {
+      errorDiv.innerHTML = result.message || 'Request failed';
+      return;
+    }
+    
+    successDiv.innerHTML = '✓ ' + result.message;
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    errorDiv.innerHTML = 'Connection error. Please try again.';
+  } finally {
+    submitBtn.disabled = false;
+    submitText.style.display = 'inline';
+    spinner.style.display = 'none';
+  }
+}
+
+// Handle reset password (token comes from the emailed link)
+async function handleReset(e) {
+  e.preventDefault();
+  
+  const token = new URLSearchParams(window.location.search).get('reset');
+  const password = document.getElementById('reset-password').value;
+  const passwordConfirm = document.getElementById('reset-password-confirm').value;
+  
+  const submitBtn = document.getElementById('reset-submit');
+  const spinner = submitBtn.querySelector('.spinner');
+  const submitText = submitBtn.querySelector('span:first-child');
+  const errorDiv = document.getElementById('reset-error');
+  const successDiv = document.getElementById('reset-success');
+  
+  // Clear messages
+  errorDiv.innerHTML = '';
+  successDiv.innerHTML = '';
+  
+  if (password.length < 8 || !/[A-Z]/.test(password) || !/[a-z]/.test(password) || !/[0-9]/.test(password)) {
+    errorDiv.innerHTML = 'Password: min 8 chars, uppercase, lowercase, number required';
+    return;
+  }
+  
+  if (password !== passwordConfirm) {
+    errorDiv.innerHTML = 'Passwords do not match';
+    return;
+  }
+  
+  // Show loading state
+  submitBtn.disabled = true;
+  submitText.style.display = 'none';
+  spinner.style.display = 'inline-block';
+  
+  try {
+    const response = await fetch('/api/auth/reset', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ token, password, passwordConfirm })
+    });
+    
+    const result = await response.json();
+    
+    if (!response.ok) {
+      errorDiv.innerHTML = result.message || 'Reset failed';
+      return;
+    }
+    
+    successDiv.innerHTML = '✓ ' + result.message;
+    document.getElementById('resetForm').reset();
+    
+    // Drop the used token from the address bar and switch to login
+    window.history.replaceState(null, '', '/auth.html');
+    setTimeout(() => showForm('login-form'), 1500);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    errorDiv.innerHTML = 'Connection error. Please try again.';
   } finally {
     submitBtn.disabled = false;
     submitText.style.display = 'inline';
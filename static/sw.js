@@ -0,0 +1,115 @@
+// Hours Tracker - Service Worker
+// Caches the app shell and CDN preview libraries so the Hours Tracker and
+// Bestanden BIM pages open without a connection. API calls are never cached:
+// the app keeps its own localStorage/IndexedDB copy of the data.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `hours-tracker-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `hours-tracker-cdn-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+    '/',
+    '/app.js',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png'
+];
+
+const CDN_URLS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/docx-preview/0.1.43/docx-preview.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/4.4.1/chart.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_URLS);
+        
+        // CDN libraries are best effort: a failing CDN must not block the install
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_URLS.map(url =>
+            cdn.add(new Request(url, { mode: 'cors' }))
+                .catch(error => console.warn('Could not precache', url, error))
+        ));
+        
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('hours-tracker-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    // Data and auth always go to the network
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else if (url.hostname === 'cdnjs.cloudflare.com') {
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    }
+});
+
+// Pages: fresh when online, the cached app shell when offline
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Only the app page is cached, not redirects to the login page
+        if (response.ok && new URL(request.url).pathname === '/') {
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || await cache.match('/');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Local scripts, styles and icons: serve from cache, refresh in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+}
+
+// Versioned CDN libraries never change, so the cached copy wins
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,145 @@
+// Key-value storage with pluggable backends.
+// STORAGE_BACKEND selects one: 'kv' (Vercel KV / Upstash Redis), 'file' (a JSON file,
+// for local development and self-hosting) or 'memory' (tests; lost on restart).
+// Every backend offers the subset of the Redis API the server uses:
+// get, set (with { ex } in seconds), del, incr, expire and keys (glob patterns with `*`).
+// Values are stored as JSON.
+import fs from 'fs';
+import path from 'path';
+
+const METHODS = ['get', 'set', 'del', 'incr', 'expire', 'keys'];
+
+// Loads @vercel/kv on first use, so the other backends run without Upstash env vars
+function createKvStorage() {
+  let client = null;
+  const storage = { name: 'kv' };
+
+  for (const method of METHODS) {
+    storage[method] = async (...args) => {
+      if (!client) {
+        ({ kv: client } = await import('@vercel/kv'));
+      }
+      return client[method](...args);
+    };
+  }
+  return storage;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Keeps { value, expiresAt } entries in a Map with Redis-like expiry;
+// `persist` runs after every change
+function createMapStorage(name, entries, persist = async () => {}) {
+  function read(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    name,
+    async get(key) {
+      const entry = read(key);
+      return entry ? clone(entry.value) : null;
+    },
+    async set(key, value, options = {}) {
+      entries.set(key, {
+        value: clone(value),
+        expiresAt: options.ex ? Date.now() + options.ex * 1000 : null
+      });
+      await persist();
+      return 'OK';
+    },
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys) {
+        if (read(key)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      if (removed) await persist();
+      return removed;
+    },
+    async incr(key) {
+      const entry = read(key);
+      const value = (entry ? Number(entry.value) : 0) + 1;
+      if (!Number.isInteger(value)) {
+        throw new Error(`Value at ${key} is not an integer`);
+      }
+      entries.set(key, { value, expiresAt: entry ? entry.expiresAt : null });
+      await persist();
+      return value;
+    },
+    async expire(key, seconds) {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      await persist();
+      return 1;
+    },
+    async keys(pattern) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      const regex = new RegExp(`^${source}$`);
+      return [...entries.keys()].filter(key => regex.test(key) && read(key));
+    }
+  };
+}
+
+function createMemoryStorage() {
+  return createMapStorage('memory', new Map());
+}
+
+// Keeps everything in memory and rewrites STORAGE_FILE (default ./data/store.json)
+// after each change. Writes go to a temp file first, so a crash never leaves half a file.
+function createFileStorage(env) {
+  const file = env.STORAGE_FILE || path.join(process.cwd(), 'data', 'store.json');
+  const entries = new Map();
+
+  if (fs.existsSync(file)) {
+    for (const [key, entry] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) {
+      entries.set(key, entry);
+    }
+  }
+
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      const now = Date.now();
+      const data = {};
+      for (const [key, entry] of entries) {
+        if (!entry.expiresAt || entry.expiresAt > now) data[key] = entry;
+      }
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(data));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  };
+
+  return createMapStorage('file', entries, persist);
+}
+
+const BACKENDS = {
+  kv: createKvStorage,
+  file: createFileStorage,
+  memory: createMemoryStorage
+};
+
+export function createStorage(env = process.env) {
+  // Vercel deployments keep using KV; anywhere else without Upstash credentials falls back to the file store
+  const hasKvConfig = Boolean(env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL || env.VERCEL);
+  const name = env.STORAGE_BACKEND || (hasKvConfig ? 'kv' : 'file');
+  const createBackend = BACKENDS[name];
+
+  if (!createBackend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return createBackend(env);
+}
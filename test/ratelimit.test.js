@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage.js';
+import { createRateLimiter, getLockoutSeconds } from '../ratelimit.js';
+
+const LIMIT = { free: 5, baseSeconds: 30, maxSeconds: 60 * 15, windowSeconds: 60 * 60 };
+
+test('the free attempts cause no lockout', () => {
+  for (let attempts = 1; attempts <= LIMIT.free; attempts++) {
+    assert.equal(getLockoutSeconds(LIMIT, attempts), 0);
+  }
+});
+
+test('the lockout doubles with every further attempt, up to the maximum', () => {
+  assert.deepEqual(
+    [6, 7, 8, 9, 10, 11, 12].map(attempts => getLockoutSeconds(LIMIT, attempts)),
+    [30, 60, 120, 240, 480, 900, 900]
+  );
+});
+
+test('records attempts per id and locks once the free ones are used up', async () => {
+  const limiter = createRateLimiter(createStorage({ STORAGE_BACKEND: 'memory' }), { login: LIMIT });
+
+  for (let i = 0; i < LIMIT.free; i++) {
+    assert.equal(await limiter.recordAttempt('login', 'a'), 0);
+  }
+  assert.equal(await limiter.getRetryAfter('login', 'a'), 0);
+
+  assert.equal(await limiter.recordAttempt('login', 'a'), 30);
+  const retryAfter = await limiter.getRetryAfter('login', 'a');
+  assert.ok(retryAfter > 0 && retryAfter <= 30, `retryAfter ${retryAfter}`);
+  assert.equal(await limiter.getRetryAfter('login', 'b'), 0);
+});
+
+test('clearing the attempts lifts the lockout and resets the count', async () => {
+  const limiter = createRateLimiter(createStorage({ STORAGE_BACKEND: 'memory' }), { login: LIMIT });
+
+  for (let i = 0; i <= LIMIT.free; i++) {
+    await limiter.recordAttempt('login', 'a');
+  }
+  await limiter.clearAttempts('login', 'a');
+
+  assert.equal(await limiter.getRetryAfter('login', 'a'), 0);
+  assert.equal(await limiter.recordAttempt('login', 'a'), 0);
+});
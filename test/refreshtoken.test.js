@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REFRESH_GRACE_MS, parseRefreshToken, rotateRefreshHash, checkRefreshHash } from '../refreshtoken.js';
+
+test('parses the session id and secret from the cookie', () => {
+  assert.deepEqual(parseRefreshToken('abc.def'), { sid: 'abc', secret: 'def' });
+  assert.equal(parseRefreshToken(undefined), null);
+  assert.equal(parseRefreshToken('abc'), null);
+  assert.equal(parseRefreshToken('.def'), null);
+});
+
+test('only the current hash matches a fresh session', () => {
+  const session = {};
+  rotateRefreshHash(session, 'h1', 1000);
+  assert.equal(checkRefreshHash(session, 'h1', 1000), 'current');
+  assert.equal(checkRefreshHash(session, 'other', 1000), null);
+});
+
+test('the previous token still works during the grace period', () => {
+  const session = {};
+  rotateRefreshHash(session, 'h1', 0);
+  rotateRefreshHash(session, 'h2', 1000);
+  assert.equal(checkRefreshHash(session, 'h2', 1000), 'current');
+  assert.equal(checkRefreshHash(session, 'h1', 1000 + REFRESH_GRACE_MS), 'previous');
+});
+
+test('the previous token after the grace period is reuse', () => {
+  const session = {};
+  rotateRefreshHash(session, 'h1', 0);
+  rotateRefreshHash(session, 'h2', 1000);
+  assert.equal(checkRefreshHash(session, 'h1', 1001 + REFRESH_GRACE_MS), 'reused');
+});
+
+test('tokens older than the previous one no longer belong to the session', () => {
+  const session = {};
+  rotateRefreshHash(session, 'h1', 0);
+  rotateRefreshHash(session, 'h2', 1000);
+  rotateRefreshHash(session, 'h3', 2000);
+  assert.equal(checkRefreshHash(session, 'h1', 2000), null);
+});
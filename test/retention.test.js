@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRetentionDays, getRetentionConfig } from '../retention.js';
+
+test('unset or empty falls back to the default', () => {
+  assert.equal(parseRetentionDays({}, 'RETENTION_INACTIVE_DAYS', 0), 0);
+  assert.equal(parseRetentionDays({ RETENTION_INACTIVE_DAYS: '' }, 'RETENTION_INACTIVE_DAYS', 7), 7);
+});
+
+test('reads whole numbers of days', () => {
+  assert.equal(parseRetentionDays({ RETENTION_INACTIVE_DAYS: '365' }, 'RETENTION_INACTIVE_DAYS', 0), 365);
+  assert.equal(parseRetentionDays({ RETENTION_INACTIVE_DAYS: '0' }, 'RETENTION_INACTIVE_DAYS', 30), 0);
+});
+
+test('refuses anything but a whole number of days', () => {
+  for (const value of ['-1', '1.5', 'abc', '30d']) {
+    assert.throws(
+      () => parseRetentionDays({ RETENTION_INACTIVE_DAYS: value }, 'RETENTION_INACTIVE_DAYS', 0),
+      /RETENTION_INACTIVE_DAYS must be a whole number of days/,
+      value
+    );
+  }
+});
+
+test('retention is off by default', () => {
+  assert.deepEqual(getRetentionConfig({}), { inactiveDays: 0, warningDays: 0 });
+});
+
+test('the default warning is half the inactive period, at most 30 days', () => {
+  assert.deepEqual(getRetentionConfig({ RETENTION_INACTIVE_DAYS: '20' }), { inactiveDays: 20, warningDays: 10 });
+  assert.deepEqual(getRetentionConfig({ RETENTION_INACTIVE_DAYS: '365' }), { inactiveDays: 365, warningDays: 30 });
+});
+
+test('the warning has to come before the inactive period ends', () => {
+  assert.deepEqual(
+    getRetentionConfig({ RETENTION_INACTIVE_DAYS: '90', RETENTION_WARNING_DAYS: '89' }),
+    { inactiveDays: 90, warningDays: 89 }
+  );
+  assert.throws(
+    () => getRetentionConfig({ RETENTION_INACTIVE_DAYS: '90', RETENTION_WARNING_DAYS: '90' }),
+    /must be less than RETENTION_INACTIVE_DAYS/
+  );
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatETag, parseIfMatch } from '../revision.js';
+
+test('no If-Match header gives null', () => {
+  assert.equal(parseIfMatch(undefined, 'user_1'), null);
+  assert.equal(parseIfMatch('', 'user_1'), null);
+});
+
+test('reads the revision from the ETag the server sent', () => {
+  assert.equal(parseIfMatch(formatETag('user_1', 7), 'user_1'), 7);
+  assert.equal(parseIfMatch(`W/${formatETag('user_1', 7)}`, 'user_1'), 7);
+});
+
+test('accepts a bare revision, quoted or not', () => {
+  assert.equal(parseIfMatch('"3"', 'user_1'), 3);
+  assert.equal(parseIfMatch(' 3 ', 'user_1'), 3);
+  assert.equal(parseIfMatch('0', 'user_1'), 0);
+});
+
+test('a tag issued to another user never matches', () => {
+  assert.ok(Number.isNaN(parseIfMatch(formatETag('user_2', 7), 'user_1')));
+});
+
+test('malformed headers never match', () => {
+  for (const header of ['*', '"abc"', '"user_1:"', '"-1"', '"1.5"', '"user_1:7", "user_1:8"']) {
+    assert.ok(Number.isNaN(parseIfMatch(header, 'user_1')), header);
+  }
+});
+
+test('a user without revisions yet is at revision 0', () => {
+  assert.equal(formatETag('user_1', undefined), '"user_1:0"');
+  assert.equal(parseIfMatch(formatETag('user_1', undefined), 'user_1'), 0);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSecret, getTimeStep, verifyCode, buildOtpauthUri } from '../totp.js';
+
+// The SHA-1 seed from RFC 6238 appendix B ("12345678901234567890"), in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// The RFC's 8-digit codes, cut to the 6 digits authenticator apps show
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+test('accepts the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    const now = seconds * 1000;
+    assert.equal(verifyCode(RFC_SECRET, code, { window: 0, now }), getTimeStep(now), `T=${seconds}`);
+  }
+});
+
+test('allows one step of clock drift either side by default', () => {
+  const now = 1111111109 * 1000;
+  assert.equal(verifyCode(RFC_SECRET, '081804', { now: now + 30 * 1000 }), getTimeStep(now));
+  assert.equal(verifyCode(RFC_SECRET, '081804', { now: now - 30 * 1000 }), getTimeStep(now));
+  assert.equal(verifyCode(RFC_SECRET, '081804', { now: now + 60 * 1000 }), null);
+});
+
+test('rejects a code from a step that was already used', () => {
+  const now = 1234567890 * 1000;
+  const step = verifyCode(RFC_SECRET, '005924', { now });
+  assert.equal(verifyCode(RFC_SECRET, '005924', { now, afterStep: step }), null);
+});
+
+test('rejects wrong and malformed codes', () => {
+  const now = 59 * 1000;
+  for (const code of ['287083', '28708', '2870822', 'abcdef', '', undefined, 287082]) {
+    assert.equal(verifyCode(RFC_SECRET, code, { now }), null, String(code));
+  }
+});
+
+test('generates 160-bit base32 secrets', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('builds the otpauth URI authenticator apps scan', () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'intern@example.com', 'Hours Tracker'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Hours Tracker:intern@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'Hours Tracker');
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});